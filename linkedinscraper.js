@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * LinkedIn public profile scraper CLI.
+ *
+ * Usage: node linkedinscraper.js <command> [options]
+ * Example: node linkedinscraper.js scrape https://www.linkedin.com/in/username/
+ *
+ * Run "node linkedinscraper.js help" for the list of commands.
+ */
+
+import { main } from './src/cli.js';
+
+main(process.argv.slice(2));
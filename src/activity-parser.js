@@ -0,0 +1,171 @@
+/**
+ * Activity section parser.
+ *
+ * Reads the public profile's Activity cards, and the "Articles by ..."
+ * section, into one entry per item:
+ *
+ *   {
+ *     type: post | repost | article | comment | reaction,
+ *     text, title, relative_date, absolute_date_estimate, url,
+ *     reactions_count, comments_count, media: [{type, url}]
+ *   }
+ *
+ * The type comes from the card's byline ("Shared by", "Liked by", ...) and
+ * its link (/pulse/ is an article). title is the linked article's title, for
+ * articles and for posts that share one. Cards print an age ("2w", "3mo"),
+ * which absolute_date_estimate turns into a calendar day; articles print
+ * their date, which is used as is.
+ */
+
+import {
+  innerText, findSection, topLevelItems, ownElement, ownText, ownLines, cleanLine
+} from './dom.js';
+import { parseAbbreviatedNumber } from './counts.js';
+import { parseRelativeTime, estimateDate, parseCalendarDate } from './dates.js';
+
+const TITLE_SELECTOR = '.base-main-card__title, .main-activity-card__title, h3';
+const BYLINE_SELECTOR = '.base-main-card__subtitle, .main-activity-card__subtitle, h4';
+const COMMENTARY_SELECTOR = '[class*="commentary"], .base-main-card__description, ' +
+  '.show-more-less-text__text--more, .show-more-less-text__text--less';
+const LINK_SELECTOR = 'a.base-card__full-link, a.main-activity-card__link, a[href]';
+const DATE_SELECTOR = 'time, .base-main-card__metadata-item, [class*="metadata"]';
+
+// Images that are the item's content, not the author's avatar
+const IMAGE_SELECTOR = '[class*="media"] img, img[class*="media"], [class*="image"] img';
+const AVATAR_SELECTOR = '[class*="actor"], [class*="avatar"], [class*="entity-image"]';
+
+// Byline -> type, first match wins
+const BYLINES = [
+  [/\b(?:shared|reposted)\b/i, 'repost'],
+  [/\bcomment(?:ed)?\b/i, 'comment'],
+  [/\b(?:liked|celebrated|supported|loved|reacted|found (?:this )?(?:insightful|funny))\b/i, 'reaction'],
+  [/\b(?:published|written)\b/i, 'article']
+];
+
+const ARTICLE_URL = /linkedin\.com\/pulse\//i;
+const REACTIONS_PATTERN = /([\d.,]+\s*[KMB]?)\s+(?:reactions?|likes?)\b/i;
+const COMMENTS_PATTERN = /([\d.,]+\s*[KMB]?)\s+comments?\b/i;
+
+/**
+ * @param {Document} document
+ * @param {Date} [now] - Reference date for relative ages ("2w")
+ * @returns {object[]}
+ */
+export function parseActivity(document, now = new Date()) {
+  const items = [];
+  const activity = findSection(document, 'Activity', 'posts');
+  if (activity) {
+    items.push(...topLevelItems(activity).map(item => parseItem(item, null, now)));
+  }
+  const articles = findArticlesSection(document);
+  if (articles && articles !== activity) {
+    items.push(...topLevelItems(articles).map(item => parseItem(item, 'article', now)));
+  }
+
+  // An article can show up in both sections
+  const seen = new Set();
+  return items.filter(item => {
+    if (!item.text && !item.title) return false;
+    if (!item.url) return true;
+    if (seen.has(item.url)) return false;
+    seen.add(item.url);
+    return true;
+  });
+}
+
+function parseItem(item, sectionType, now) {
+  const heading = ownText(item, TITLE_SELECTOR);
+  const byline = ownText(item, BYLINE_SELECTOR);
+  const commentary = ownText(item, COMMENTARY_SELECTOR);
+  const url = itemUrl(item);
+  const type = sectionType || itemType(byline, url);
+  const lines = ownLines(item);
+  const date = itemDate(item, lines, now);
+  const linksArticle = type === 'article' || ARTICLE_URL.test(url || '');
+
+  return {
+    type,
+    text: commentary || heading || lines.find(line => line !== byline) || null,
+    title: linksArticle ? heading : null,
+    relative_date: date.relative,
+    absolute_date_estimate: date.absolute,
+    url,
+    reactions_count: count(lines, REACTIONS_PATTERN),
+    comments_count: count(lines, COMMENTS_PATTERN),
+    media: itemMedia(item)
+  };
+}
+
+// "Articles by Jane Doe" names the author, so only the start of the heading is known
+function findArticlesSection(document) {
+  const section = document.querySelector('section[data-section="articles"]');
+  if (section) return section;
+  const heading = [...document.querySelectorAll('h2')]
+    .find(h => /^articles\b/i.test(innerText(h).trim()));
+  return heading?.closest('section') || null;
+}
+
+function itemType(byline, url) {
+  if (url && ARTICLE_URL.test(url) && !/\b(?:shared|reposted|liked)\b/i.test(byline || '')) {
+    return 'article';
+  }
+  if (url && /commentUrn|[?&]comment/i.test(url)) return 'comment';
+  return BYLINES.find(([pattern]) => pattern.test(byline || ''))?.[1] || 'post';
+}
+
+function itemUrl(item) {
+  const links = [...item.querySelectorAll(LINK_SELECTOR)].filter(a => a.closest('li') === item);
+  // The author's profile link is not the item
+  const link = links.find(a => !/linkedin\.com\/in\//i.test(a.href)) || null;
+  return link?.href || null;
+}
+
+// An exact <time datetime> wins; otherwise the first line that reads as a date
+function itemDate(item, lines, now) {
+  const time = ownElement(item, 'time[datetime]');
+  const exact = time?.getAttribute('datetime').match(/^\d{4}-\d{2}-\d{2}/);
+  const candidates = [ownText(item, DATE_SELECTOR), ...lines].filter(Boolean);
+
+  // "2w • Edited" and "Mar 5, 2021 · 4 min read" put the date between separators
+  const parts = candidates.flatMap(candidate => candidate.split(/[•·]/).map(cleanLine)).filter(Boolean);
+  for (const text of parts) {
+    const relative = parseRelativeTime(text);
+    if (relative) {
+      return { relative: text, absolute: exact ? exact[0] : estimateDate(relative, now) };
+    }
+    const calendar = parseCalendarDate(text);
+    if (calendar) return { relative: null, absolute: calendar };
+  }
+  return { relative: null, absolute: exact ? exact[0] : null };
+}
+
+function count(lines, pattern) {
+  for (const line of lines) {
+    const match = line.match(pattern);
+    if (match) return parseAbbreviatedNumber(match[1]);
+  }
+  return null;
+}
+
+function itemMedia(item) {
+  const media = [];
+  const add = (type, url) => {
+    if (url && !url.startsWith('data:') && !media.some(entry => entry.url === url)) {
+      media.push({ type, url });
+    }
+  };
+
+  for (const img of item.querySelectorAll(IMAGE_SELECTOR)) {
+    if (img.closest(AVATAR_SELECTOR)) continue;
+    // Public pages lazy-load images from data-delayed-url
+    add('image', img.getAttribute('data-delayed-url') || img.getAttribute('src'));
+  }
+  for (const video of item.querySelectorAll('video')) {
+    add('video', video.getAttribute('src') || video.querySelector('source')?.getAttribute('src') ||
+      video.getAttribute('poster'));
+  }
+  for (const doc of item.querySelectorAll('[class*="document"] a[href], a[href*="/document/"]')) {
+    add('document', doc.href);
+  }
+  return media;
+}
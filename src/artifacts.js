@@ -0,0 +1,289 @@
+/**
+ * Debug artifact bundles.
+ *
+ * Browser-backed sources capture every page while it is open (see
+ * startPageCapture). Once the outcome is known, ArtifactStore either writes
+ * the capture out or throws it away. Console and network logs and the trace
+ * are always recorded, since a page can still be classified as failed after
+ * it loaded; the trace file of a discarded capture is deleted. The screenshot
+ * is only taken with --artifacts always or when the fetch failed.
+ *
+ *   <artifactsDir>/<run_id>/<profile slug>/
+ *     screenshot.png   full-page screenshot
+ *     page.html        raw HTML
+ *     trace.zip        browser trace (npx playwright show-trace trace.zip)
+ *     console.jsonl    browser console messages
+ *     network.jsonl    requests with status or failure
+ *     preparation.jsonl  page preparation steps (see page-prep.js)
+ *     record.json      outcome: url, profile, state, error and the extracted record
+ *
+ * --artifacts failure (default) writes bundles for failed pages only, always
+ * writes one for every page, off captures nothing. Old runs are pruned at the
+ * start of each run: runs older than artifactsMaxAge days go first, then the
+ * oldest runs until the directory is under artifactsMaxSize MB.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { profileSlug, canonicalProfileUrl } from './profile-url.js';
+import { logger } from './logger.js';
+
+export const ARTIFACT_MODES = ['off', 'failure', 'always'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A context holds one trace at a time: a page sharing its context with a
+// page that is being traced goes without (that trace covers it as well)
+const tracedContexts = new WeakSet();
+
+/**
+ * Start recording a page: console messages, network activity and, if asked
+ * for, a trace.
+ * @param {import('patchright').Page} page
+ * @param {object} [options]
+ * @param {boolean} [options.trace] - Record a browser trace, unless another
+ *   page of the same context is being traced
+ * @param {boolean} [options.screenshot] - Always take the screenshot, not
+ *   only for failed pages
+ * @returns {Promise<{finish: (outcome?: {failed?: boolean}) => Promise<object>}>}
+ *   finish() returns the capture
+ */
+export async function startPageCapture(page, { trace = false, screenshot = false } = {}) {
+  const consoleLog = [];
+  const networkLog = [];
+  const time = () => new Date().toISOString();
+
+  page.on('console', message => {
+    consoleLog.push({ time: time(), type: message.type(), text: message.text() });
+  });
+  page.on('pageerror', error => {
+    consoleLog.push({ time: time(), type: 'pageerror', text: error.message });
+  });
+  page.on('response', response => {
+    const request = response.request();
+    networkLog.push({ time: time(), method: request.method(), url: response.url(), status: response.status() });
+  });
+  page.on('requestfailed', request => {
+    networkLog.push({
+      time: time(), method: request.method(), url: request.url(), failure: request.failure()?.errorText ?? null
+    });
+  });
+
+  const context = page.context();
+  let tracing = false;
+  if (trace && tracedContexts.has(context)) {
+    logger.debug('Browser trace skipped: another page of this context is being traced', { url: page.url() });
+  } else if (trace) {
+    try {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+      tracedContexts.add(context);
+      tracing = true;
+    } catch (error) {
+      logger.debug('Browser trace not available', { error: error.message });
+    }
+  }
+
+  return {
+    async finish({ failed = false } = {}) {
+      const capture = { console: consoleLog, network: networkLog, screenshot: null, html: null, traceFile: null };
+      if (screenshot || failed) {
+        capture.screenshot = await page.screenshot({ fullPage: true }).catch(() => null);
+      }
+      capture.html = await page.content().catch(() => null);
+      if (tracing) {
+        const traceFile = path.join(os.tmpdir(), `linkedinscraper-trace-${randomUUID()}.zip`);
+        try {
+          await context.tracing.stop({ path: traceFile });
+          capture.traceFile = traceFile;
+        } catch (error) {
+          logger.debug('Could not save browser trace', { error: error.message });
+        } finally {
+          tracedContexts.delete(context);
+        }
+      }
+      return capture;
+    }
+  };
+}
+
+/**
+ * Delete the temporary files of a capture that is not going to be kept.
+ * @param {object|null|undefined} capture
+ */
+export async function discardCapture(capture) {
+  if (capture?.traceFile) await fs.remove(capture.traceFile);
+}
+
+/**
+ * Writes (or discards) one bundle per scraped page of a run.
+ */
+export class ArtifactStore {
+  /**
+   * @param {object} config
+   * @param {string} config.artifacts - One of ARTIFACT_MODES
+   * @param {string} config.artifactsDir
+   * @param {number} config.artifactsMaxAge - Days; 0 keeps runs forever
+   * @param {number} config.artifactsMaxSize - MB; 0 for no limit
+   * @param {string} runId
+   */
+  constructor(config, runId) {
+    this.mode = config.artifacts || 'failure';
+    this.rootDir = config.artifactsDir || 'artifacts';
+    this.maxAge = config.artifactsMaxAge ?? 14;
+    this.maxSize = config.artifactsMaxSize ?? 500;
+    this.runId = runId;
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Record the outcome of one page.
+   * @param {string} target - URL or file that was scraped
+   * @param {object} outcome
+   * @param {object} [outcome.page] - Result of loadProfilePage(), if it got that far
+   * @param {object} [outcome.record] - Extracted record
+   * @param {Error} [outcome.error] - Why the page failed
+   * @param {string} [outcome.profileUrl] - Profile the page was resolved to
+   * @param {boolean} [outcome.keep] - Write the bundle in failure mode even
+   *   though the page succeeded (rich-results --debug)
+   * @returns {Promise<string|null>} Bundle directory, or null if nothing was written
+   */
+  async save(target, { page = null, record = null, error = null, profileUrl = null, keep = false } = {}) {
+    const fetched = page || error?.page || null;
+    const capture = fetched?.capture || error?.capture || null;
+
+    const wanted = this.mode === 'always' || (this.mode === 'failure' && (error || keep));
+    if (!wanted) {
+      await discardCapture(capture);
+      return null;
+    }
+
+    const dir = path.join(this.rootDir, this.runId, bundleName(target));
+    await fs.ensureDir(dir);
+
+    const html = fetched?.html ?? capture?.html;
+    if (html) await fs.writeFile(path.join(dir, 'page.html'), html, 'utf8');
+    if (capture?.screenshot) await fs.writeFile(path.join(dir, 'screenshot.png'), capture.screenshot);
+    if (capture?.traceFile) await fs.move(capture.traceFile, path.join(dir, 'trace.zip'), { overwrite: true });
+    if (capture?.console) await writeJsonLines(path.join(dir, 'console.jsonl'), capture.console);
+    if (capture?.network) await writeJsonLines(path.join(dir, 'network.jsonl'), capture.network);
+    if (fetched?.preparation) await writeJsonLines(path.join(dir, 'preparation.jsonl'), fetched.preparation);
+
+    await fs.writeJson(path.join(dir, 'record.json'), {
+      run_id: this.runId,
+      url: target,
+      final_url: fetched?.url ?? null,
+      profile_url: profileUrl,
+      status: fetched?.status ?? null,
+      state: error ? error.state ?? null : 'ok',
+      error: error ? error.message : null,
+      saved_at: new Date().toISOString(),
+      record
+    }, { spaces: 2 });
+
+    logger.info('Debug artifacts saved', { url: target, dir });
+    return dir;
+  }
+
+  /**
+   * Apply the retention policy to earlier runs.
+   * @param {number} [now]
+   * @returns {Promise<string[]>} Run directories removed
+   */
+  async prune(now = Date.now()) {
+    if (!(await fs.pathExists(this.rootDir))) return [];
+
+    const runs = [];
+    for (const name of await fs.readdir(this.rootDir)) {
+      const dir = path.join(this.rootDir, name);
+      const stat = await fs.stat(dir);
+      if (!stat.isDirectory() || name === this.runId) continue;
+      runs.push({ dir, mtime: stat.mtimeMs, size: await directorySize(dir) });
+    }
+    runs.sort((a, b) => a.mtime - b.mtime);
+
+    const removed = [];
+    let total = runs.reduce((sum, run) => sum + run.size, 0);
+    for (const run of runs) {
+      const expired = this.maxAge > 0 && now - run.mtime > this.maxAge * DAY_MS;
+      const oversized = this.maxSize > 0 && total > this.maxSize * 1024 * 1024;
+      if (!expired && !oversized) continue;
+
+      await fs.remove(run.dir);
+      total -= run.size;
+      removed.push(run.dir);
+    }
+
+    if (removed.length > 0) {
+      logger.debug('Pruned old debug artifacts', { runs: removed.length, dir: this.rootDir });
+    }
+    return removed;
+  }
+
+  /**
+   * Delete every bundle of one profile, in every run: bundles named after
+   * its slug, and bundles whose record.json names the profile (saved files).
+   * @param {string} profileUrl - Canonical profile URL
+   * @returns {Promise<string[]>} Bundle directories removed
+   */
+  async forget(profileUrl) {
+    if (!(await fs.pathExists(this.rootDir))) return [];
+
+    const slug = profileSlug(profileUrl);
+    const removed = [];
+    for (const run of await fs.readdir(this.rootDir, { withFileTypes: true })) {
+      if (!run.isDirectory()) continue;
+      const runDir = path.join(this.rootDir, run.name);
+      for (const bundle of await fs.readdir(runDir, { withFileTypes: true })) {
+        const dir = path.join(runDir, bundle.name);
+        if (!bundle.isDirectory()) continue;
+        if (bundle.name !== sanitize(slug) && !(await bundleIsFor(dir, profileUrl))) continue;
+        await fs.remove(dir);
+        removed.push(dir);
+      }
+    }
+    return removed;
+  }
+}
+
+async function bundleIsFor(dir, profileUrl) {
+  const outcome = await fs.readJson(path.join(dir, 'record.json')).catch(() => null);
+  if (!outcome) return false;
+  return [outcome.url, outcome.final_url, outcome.profile_url]
+    .some(url => url && canonicalProfileUrl(url) === profileUrl);
+}
+
+// Profile slug for profile URLs, file or path name for anything else
+function bundleName(target) {
+  const slug = profileSlug(target);
+  if (slug) return sanitize(slug);
+
+  let name = target;
+  try {
+    name = new URL(target).pathname;
+  } catch {
+    // a file path
+  }
+  return sanitize(path.basename(name, path.extname(name))) || 'page';
+}
+
+function sanitize(name) {
+  return name.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[-.]+|-+$/g, '').slice(0, 100);
+}
+
+async function writeJsonLines(file, entries) {
+  await fs.writeFile(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+}
+
+async function directorySize(dir) {
+  let size = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    size += entry.isDirectory() ? await directorySize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return size;
+}
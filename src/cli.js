@@ -0,0 +1,136 @@
+/**
+ * Command-line entry point: linkedinscraper <command> [options]
+ *
+ * Every command accepts the configuration flags from config.js in addition
+ * to its own options.
+ */
+
+import { parseArgs } from 'util';
+import { loadConfig, configFlagOptions, CONFIG_OPTIONS, ConfigError } from './config.js';
+import { UsageError } from './errors.js';
+import { logger, loggerOptions } from './logger.js';
+import * as scrape from './commands/scrape.js';
+import * as batch from './commands/batch.js';
+import * as exportCommand from './commands/export.js';
+import * as diff from './commands/diff.js';
+import * as richResults from './commands/rich-results.js';
+import * as health from './commands/health.js';
+import * as forget from './commands/forget.js';
+import * as serve from './commands/serve.js';
+import * as search from './commands/search.js';
+import * as migrate from './commands/migrate.js';
+
+const PROGRAM = 'linkedinscraper';
+
+export const COMMANDS = {
+  scrape,
+  batch,
+  export: exportCommand,
+  search,
+  diff,
+  'rich-results': richResults,
+  health,
+  forget,
+  migrate,
+  serve
+};
+
+/**
+ * Run the CLI and set process.exitCode from the command's result.
+ * @param {string[]} argv - Arguments after the script name
+ */
+export async function main(argv) {
+  try {
+    process.exitCode = await runCommand(argv);
+  } catch (error) {
+    if (error instanceof UsageError || error instanceof ConfigError) {
+      logger.error(error.message);
+      if (error.command) console.error(`Usage: ${PROGRAM} ${COMMANDS[error.command].usage}`);
+      process.exitCode = 2;
+    } else {
+      logger.error(error.message);
+      logger.debug('Stack trace', { stack: error.stack });
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function runCommand(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.log(helpText(rest[0]));
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}". Run "${PROGRAM} help" for the list.`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      allowPositionals: true,
+      options: { ...configFlagOptions(), ...command.options, help: { type: 'boolean', short: 'h' } }
+    });
+  } catch (error) {
+    throw withCommand(new UsageError(error.message), name);
+  }
+
+  if (parsed.values.help) {
+    console.log(helpText(name));
+    return 0;
+  }
+
+  const { config, sources } = await loadConfig({ flags: parsed.values });
+  logger.configure(loggerOptions(config));
+  logger.debug('Run started', { command: name, run_id: logger.runId });
+  for (const key of Object.keys(CONFIG_OPTIONS)) {
+    logger.debug('Config', { option: key, value: config[key], from: sources[key] });
+  }
+
+  try {
+    return (await command.run({ values: parsed.values, positionals: parsed.positionals, config })) ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) throw withCommand(error, name);
+    throw error;
+  }
+}
+
+function withCommand(error, name) {
+  error.command = name;
+  return error;
+}
+
+function helpText(name) {
+  const configLines = Object.values(CONFIG_OPTIONS).map(def => {
+    const flag = def.type === 'boolean' ? `--[no-]${def.flag}` : `--${def.flag} <value>`;
+    return `  ${flag.padEnd(30)} ${def.help} [${def.env}]`;
+  });
+  configLines.push(`  ${'--config <file>'.padEnd(30)} JSON config file [SCRAPER_CONFIG]`);
+
+  if (name && COMMANDS[name]) {
+    return [
+      `Usage: ${PROGRAM} ${COMMANDS[name].usage} [options]`,
+      '',
+      COMMANDS[name].summary,
+      '',
+      'Configuration (flag > env var > .env > config file):',
+      ...configLines
+    ].join('\n');
+  }
+
+  return [
+    `Usage: ${PROGRAM} <command> [options]`,
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([key, command]) => `  ${key.padEnd(14)} ${command.summary}`),
+    '',
+    'Configuration (flag > env var > .env > config file):',
+    ...configLines,
+    '',
+    `Run "${PROGRAM} help <command>" for a command's options.`
+  ].join('\n');
+}
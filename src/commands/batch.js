@@ -0,0 +1,147 @@
+/**
+ * batch: scrape every profile URL listed in a file with one page source
+ * (one browser for the browser-backed sources).
+ *
+ * Per-URL status (ok / failed / skipped) is written to the progress file
+ * (default: <url-file>.progress.json) after every profile, so re-running the
+ * same command after a crash or Ctrl-C resumes with the remaining URLs.
+ */
+
+import { createSource } from '../sources.js';
+import {
+  loadProfilePage, parseProfilePage, resolveProfileUrl, createProfileSinks
+} from '../scrape.js';
+import { profileRecord, DEFAULT_STORE_FILE } from '../store.js';
+import { canonicalProfileUrl } from '../profile-url.js';
+import { readUrlList } from '../url-list.js';
+import { BatchProgress, defaultProgressFile, STATUS } from '../progress.js';
+import { PageStateError, PAGE_STATES } from '../page-state.js';
+import { appendFailure } from '../failures.js';
+import { Limiter } from '../politeness.js';
+import { RobotsDisallowedError } from '../robots.js';
+import { ArtifactStore } from '../artifacts.js';
+import { fieldFilter, redactFields, expireProfiles } from '../privacy.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Scrape a list of profile URLs (txt / csv / jsonl) with resumable progress';
+export const usage = 'batch <url-file> [--progress <file>]';
+export const options = {
+  progress: { type: 'string' }
+};
+
+export async function run({ values, positionals, config }) {
+  const inputFile = positionals[0];
+  if (!inputFile) {
+    throw new UsageError('Missing URL list file');
+  }
+
+  const storeFile = config.outputFile || DEFAULT_STORE_FILE;
+  const fields = fieldFilter(config);
+  const sinks = createProfileSinks(config, storeFile);
+  await expireProfiles({ retentionDays: config.retentionDays, storeFile });
+  const progressFile = values.progress || defaultProgressFile(inputFile);
+  const urls = await readUrlList(inputFile);
+  const progress = await BatchProgress.load(progressFile, inputFile);
+
+  const pending = [...new Set(urls)].filter(url => !progress.isDone(url));
+  logger.info(`${urls.length} URLs in ${inputFile}, ${pending.length} left to process`, {
+    progress_file: progressFile
+  });
+
+  // Ctrl-C finishes the profiles in flight, saves progress and stops
+  let stopping = false;
+  const onSigint = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    logger.warn('Stopping after the current profiles (Ctrl-C again to quit now)');
+  };
+  process.on('SIGINT', onSigint);
+
+  const source = createSource(config.source || 'browser', config);
+  const artifacts = new ArtifactStore(config, logger.runId);
+  await artifacts.prune();
+  // Saved files and local test servers only name the profile in the page
+  const needsProfileUrl = source.name === 'browser' || source.name === 'rich-results';
+  const seen = new Set();
+  // Up to --concurrency profiles are fetched at once; the sinks, progress
+  // file and failures log are written one at a time
+  const writes = new Limiter(1);
+
+  const processUrl = async (url) => {
+    const profileUrl = canonicalProfileUrl(url);
+    if (!profileUrl && needsProfileUrl) {
+      logger.info('Skipped', { url, reason: 'not a public profile URL' });
+      await writes.run(() => progress.record(url, STATUS.SKIPPED, 'not a public profile URL'));
+      return;
+    }
+
+    // Different spellings of the same profile URL are scraped once
+    if (profileUrl && seen.has(profileUrl)) {
+      await writes.run(() => progress.record(url, STATUS.SKIPPED, `duplicate of ${profileUrl}`));
+      return;
+    }
+    if (profileUrl) seen.add(profileUrl);
+
+    let page = null;
+    let data = null;
+    let storeUrl = profileUrl;
+    try {
+      page = await loadProfilePage(source, url, config);
+      storeUrl = resolveProfileUrl(url, page);
+      if (!storeUrl) {
+        throw new Error('No LinkedIn profile URL found for this page');
+      }
+
+      data = redactFields(parseProfilePage(page, url), fields);
+      const record = profileRecord(storeUrl, data);
+      await writes.run(async () => {
+        await sinks.write(record);
+        await progress.record(url, STATUS.OK, null, PAGE_STATES.OK);
+      });
+      logger.info('Scraped', { url });
+      await artifacts.save(url, { page, record: data, profileUrl: storeUrl });
+    } catch (error) {
+      if (error instanceof RobotsDisallowedError) {
+        logger.info('Skipped', { url, reason: error.message });
+        await writes.run(() => progress.record(url, STATUS.SKIPPED, error.message));
+        return;
+      }
+
+      const state = error instanceof PageStateError ? error.state : null;
+      await writes.run(async () => {
+        await progress.record(url, STATUS.FAILED, error.message, state);
+        if (state) {
+          await appendFailure({
+            url, state, message: error.message, attempts: error.attempts
+          });
+        }
+      });
+      logger.error(error.message, { url, state });
+      await artifacts.save(url, { page, record: data, error, profileUrl: storeUrl });
+    }
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (!stopping && next < pending.length) {
+      await processUrl(pending[next++]);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, config.concurrency) }, worker));
+  } finally {
+    process.off('SIGINT', onSigint);
+    await source.close();
+    await sinks.close();
+  }
+
+  const counts = progress.summary();
+  logger.info(`Done: ${counts.ok} ok, ${counts.failed} failed, ${counts.skipped} skipped`, {
+    ...counts, store_file: storeFile
+  });
+  if (stopping) return 130;
+  // Failed URLs stay in the progress file for the next run; the exit code tells scripts
+  return counts.failed > 0 ? 1 : 0;
+}
@@ -0,0 +1,80 @@
+/**
+ * diff: show what changed in a profile between two scrapes.
+ *
+ * A snapshot is given by its number in --list output (1 = oldest, negative
+ * numbers count back from the latest) or by its scraped_at timestamp (a
+ * prefix such as 2025-03-02 is enough). By default the latest scrape is
+ * compared with the one before it.
+ */
+
+import { readSnapshots, DEFAULT_HISTORY_FILE } from '../history.js';
+import { diffProfiles, formatDiffText } from '../diff.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Show field-level changes between scrapes of a profile';
+export const usage = 'diff <profile_url> [--from <snapshot>] [--to <snapshot>] [--json] [--list]';
+export const options = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  list: { type: 'boolean', default: false }
+};
+
+export async function run({ values, positionals }) {
+  const url = positionals[0];
+  if (!url) {
+    throw new UsageError('Missing profile URL');
+  }
+
+  const snapshots = await readSnapshots(url);
+  if (snapshots.length === 0) {
+    logger.error(`No snapshots of ${url} in ${DEFAULT_HISTORY_FILE}`);
+    return 1;
+  }
+
+  if (values.list) {
+    snapshots.forEach((snapshot, i) => console.log(`${i + 1}\t${snapshot.scraped_at}`));
+    return 0;
+  }
+
+  const toIndex = values.to ? findSnapshot(snapshots, values.to) : snapshots.length - 1;
+  const fromIndex = values.from ? findSnapshot(snapshots, values.from) : toIndex - 1;
+
+  if (fromIndex < 0) {
+    logger.error(`Only one snapshot of ${url} before ${snapshots[toIndex].scraped_at}; nothing to compare`);
+    return 1;
+  }
+
+  const from = snapshots[fromIndex];
+  const to = snapshots[toIndex];
+  const changes = diffProfiles(from.data, to.data);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      profileUrl: to.profileUrl,
+      from: from.scraped_at,
+      to: to.scraped_at,
+      changes
+    }, null, 2));
+  } else {
+    console.log(`${to.profileUrl}`);
+    console.log(`${from.scraped_at} -> ${to.scraped_at}\n`);
+    console.log(formatDiffText(changes));
+  }
+  return 0;
+}
+
+function findSnapshot(snapshots, ref) {
+  if (/^-?\d+$/.test(ref)) {
+    const n = Number(ref);
+    const index = n < 0 ? snapshots.length + n : n - 1;
+    if (index >= 0 && index < snapshots.length) return index;
+  } else {
+    // Latest snapshot whose timestamp starts with the given prefix
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].scraped_at.startsWith(ref)) return i;
+    }
+  }
+  throw new UsageError(`No snapshot matching "${ref}" (see --list)`);
+}
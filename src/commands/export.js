@@ -0,0 +1,69 @@
+/**
+ * export: write the collected profiles as CSV, NDJSON and/or SQLite.
+ *
+ * Output (in --out-dir):
+ *   csv    -> profiles.csv, experience.csv, education.csv
+ *   ndjson -> profiles.ndjson ("--out-dir -" streams NDJSON to stdout)
+ *   sqlite -> profiles.sqlite
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { readProfiles, DEFAULT_STORE_FILE } from '../store.js';
+import { exportCsv, exportNdjson, exportSqlite, EXPORT_FORMATS } from '../exporters.js';
+import { expireProfiles } from '../privacy.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Export the profile store to CSV, NDJSON and/or SQLite';
+export const usage = 'export [--format csv,ndjson,sqlite] [--out-dir exports] [--input <store-file>]';
+export const options = {
+  format: { type: 'string', default: 'csv' },
+  'out-dir': { type: 'string', default: 'exports' },
+  input: { type: 'string' }
+};
+
+export async function run({ values, config }) {
+  const formats = values.format.split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(f => !EXPORT_FORMATS.includes(f));
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new UsageError(
+      `Unknown format: ${unknown.join(', ') || '(none)'} (expected ${EXPORT_FORMATS.join(', ')})`
+    );
+  }
+
+  const outDir = values['out-dir'];
+  const toStdout = outDir === '-';
+  if (toStdout && (formats.length !== 1 || formats[0] !== 'ndjson')) {
+    throw new UsageError('--out-dir - is only supported with --format ndjson');
+  }
+
+  const input = values.input || config.outputFile || DEFAULT_STORE_FILE;
+  await expireProfiles({ retentionDays: config.retentionDays, storeFile: input });
+  const profiles = await readProfiles(input);
+
+  if (toStdout) {
+    await exportNdjson(profiles, process.stdout);
+    return 0;
+  }
+
+  await fs.ensureDir(outDir);
+  for (const format of formats) {
+    if (format === 'csv') {
+      const files = await exportCsv(profiles, outDir);
+      logger.info('CSV written', { files });
+    } else if (format === 'ndjson') {
+      const file = path.join(outDir, 'profiles.ndjson');
+      const stream = fs.createWriteStream(file);
+      await exportNdjson(profiles, stream);
+      await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+      logger.info('NDJSON written', { file });
+    } else if (format === 'sqlite') {
+      const file = path.join(outDir, 'profiles.sqlite');
+      await exportSqlite(profiles, file);
+      logger.info('SQLite written', { file });
+    }
+  }
+  logger.info(`Exported ${profiles.length} profiles from ${input}`);
+  return 0;
+}
@@ -0,0 +1,49 @@
+/**
+ * forget: delete every trace of one or more people (data-subject requests).
+ *
+ * Removes the stored profile, its history snapshots, failures log entries,
+ * serve's jobs for it, debug artifact bundles, rows in the exports and its
+ * file in the dir sink's --output-dir, and records each deletion in the
+ * audit log (privacy_audit.jsonl).
+ */
+
+import { forgetProfile } from '../privacy.js';
+import { DEFAULT_STORE_FILE } from '../store.js';
+import { DEFAULT_JOBS_FILE } from '../jobs.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Delete every trace of a person and record it in the audit log';
+export const usage = 'forget <profile_url...> [--reason <text>] [--exports-dir <dir>...] [--jobs-file <file>]';
+export const options = {
+  reason: { type: 'string' },
+  'exports-dir': { type: 'string', multiple: true, default: ['exports'] },
+  'jobs-file': { type: 'string', default: DEFAULT_JOBS_FILE }
+};
+
+export async function run({ values, positionals, config }) {
+  if (positionals.length === 0) {
+    throw new UsageError('Missing profile URL');
+  }
+
+  const storeFile = config.outputFile || DEFAULT_STORE_FILE;
+  let failed = 0;
+  for (const url of positionals) {
+    try {
+      const { profileUrl, removed } = await forgetProfile(url, {
+        storeFile,
+        artifacts: config,
+        exportDirs: values['exports-dir'],
+        outputDir: config.outputDir,
+        jobsFile: values['jobs-file'],
+        reason: values.reason ?? null
+      });
+      const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+      logger.info(total > 0 ? 'Forgotten' : 'Nothing stored; deletion recorded', { url: profileUrl, ...removed });
+    } catch (error) {
+      logger.error(error.message, { url });
+      failed++;
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
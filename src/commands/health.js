@@ -0,0 +1,116 @@
+/**
+ * health: per-field fill rates of an extractor over a directory of saved
+ * HTML pages, compared with a stored baseline (see health.js).
+ *
+ * Exit code 1 when any field's fill rate dropped by more than --threshold
+ * percentage points, so a scheduled run can flag selector drift.
+ */
+
+import path from 'path';
+import {
+  corpusCoverage, compareCoverage, readBaseline, writeBaseline,
+  HEALTH_EXTRACTORS, DEFAULT_BASELINE_FILE, DEFAULT_THRESHOLD
+} from '../health.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Report per-field fill rates over saved HTML pages and detect selector drift';
+export const usage = 'health <html-dir> [--baseline <file>] [--threshold <points>] [--update-baseline] ' +
+  '[--extractor profile|public-user-data] [--json]';
+export const options = {
+  baseline: { type: 'string' },
+  threshold: { type: 'string', default: String(DEFAULT_THRESHOLD) },
+  'update-baseline': { type: 'boolean', default: false },
+  extractor: { type: 'string', default: 'profile' },
+  json: { type: 'boolean', default: false }
+};
+
+export async function run({ values, positionals }) {
+  const dir = positionals[0];
+  if (!dir) {
+    throw new UsageError('Missing directory of saved HTML pages');
+  }
+
+  const extractor = values.extractor;
+  if (!HEALTH_EXTRACTORS[extractor]) {
+    throw new UsageError(
+      `Unknown extractor "${extractor}" (expected ${Object.keys(HEALTH_EXTRACTORS).join(', ')})`
+    );
+  }
+
+  const threshold = Number(values.threshold);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new UsageError(`--threshold: expected a number of percentage points, got "${values.threshold}"`);
+  }
+
+  const baselineFile = values.baseline || path.join(dir, DEFAULT_BASELINE_FILE);
+  const coverage = await corpusCoverage(dir, extractor);
+  if (coverage.pages === 0) {
+    logger.error(`No saved HTML pages in ${dir}`);
+    return 1;
+  }
+
+  const baseline = await readBaseline(baselineFile);
+  if (baseline && baseline.extractor !== extractor) {
+    throw new UsageError(`${baselineFile} is a baseline for the ${baseline.extractor} extractor`);
+  }
+
+  const fields = compareCoverage(coverage, baseline, threshold);
+  const regressed = fields.filter(field => field.regressed);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      extractor,
+      pages: coverage.pages,
+      parse_errors: coverage.errors.length,
+      baseline: baseline ? { file: baselineFile, created_at: baseline.created_at, pages: baseline.pages } : null,
+      threshold,
+      fields,
+      regressed: regressed.map(field => field.field)
+    }, null, 2));
+  } else {
+    console.log(formatReport(fields));
+  }
+
+  logger.info(`${coverage.pages} pages checked with the ${extractor} extractor`, {
+    parse_errors: coverage.errors.length
+  });
+
+  if (values['update-baseline']) {
+    await writeBaseline(baselineFile, coverage, extractor);
+    logger.info('Baseline saved', { file: baselineFile });
+    return 0;
+  }
+
+  if (!baseline) {
+    logger.info(`No baseline at ${baselineFile}; run with --update-baseline to save one`);
+    return 0;
+  }
+  if (regressed.length > 0) {
+    logger.error(`Fill rate dropped by more than ${threshold} points`, {
+      fields: regressed.map(field => field.field)
+    });
+    return 1;
+  }
+  return 0;
+}
+
+function formatReport(fields) {
+  const width = Math.max(5, ...fields.map(field => field.field.length));
+  const lines = [`${'field'.padEnd(width)}  ${'fill'.padStart(6)}  ${'base'.padStart(6)}  ${'change'.padStart(7)}`];
+  for (const field of fields) {
+    const change = field.change === null ? '' : `${field.change >= 0 ? '+' : ''}${(field.change * 100).toFixed(1)}`;
+    lines.push([
+      field.field.padEnd(width),
+      percent(field.rate).padStart(6),
+      (field.baseline === null ? '-' : percent(field.baseline)).padStart(6),
+      change.padStart(7),
+      field.regressed ? 'DROPPED' : ''
+    ].join('  ').trimEnd());
+  }
+  return lines.join('\n');
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
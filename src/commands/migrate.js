@@ -0,0 +1,31 @@
+/**
+ * migrate: bring older data into the profile store (see migrate.js).
+ *
+ *   migrate                                upgrade profile.json in place
+ *   migrate old/profile.json public_user_data.json
+ *                                          import those files into it
+ */
+
+import { migrateProfiles } from '../migrate.js';
+import { DEFAULT_STORE_FILE } from '../store.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Upgrade the profile store, or import older profile.json / scraper.js output into it';
+export const usage = 'migrate [file...] [--dry-run]';
+export const options = {
+  'dry-run': { type: 'boolean', default: false }
+};
+
+export async function run({ values, positionals, config }) {
+  const storeFile = config.outputFile || DEFAULT_STORE_FILE;
+  const dryRun = values['dry-run'];
+
+  const { skipped, ...counts } = await migrateProfiles(positionals, { storeFile, dryRun });
+  for (const { source, url, reason } of skipped) {
+    logger.warn(`Skipped: ${reason}`, { source, url });
+  }
+  logger.info(dryRun ? `Dry run, ${storeFile} not changed` : `Migrated into ${storeFile}`, {
+    ...counts, skipped: skipped.length
+  });
+  return 0;
+}
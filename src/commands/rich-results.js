@@ -0,0 +1,138 @@
+/**
+ * rich-results: extract public user data from a page via Google's Rich
+ * Results Test, which fetches and renders the target URL on Google's side.
+ * Any other page source (--source browser / http / file) feeds the same
+ * extractor.
+ *
+ * The store sink keeps one result per target URL in public_user_data.json,
+ * a JournaledStore (see storage.js) like profile.json: a run replaces the
+ * result for its URL and leaves the others, and several runs can write the
+ * file at once.
+ */
+
+import path from 'path';
+import { createSource } from '../sources.js';
+import { loadProfilePage } from '../scrape.js';
+import { PageStateError } from '../page-state.js';
+import { appendFailure } from '../failures.js';
+import { extractPublicUserData } from '../public-user-data.js';
+import { assertValidPublicUserData, PUBLIC_USER_DATA_SCHEMA_VERSION } from '../schema.js';
+import { ArtifactStore } from '../artifacts.js';
+import { createSinks } from '../sinks.js';
+import { JournaledStore } from '../storage.js';
+import { canonicalProfileUrl } from '../profile-url.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const DEFAULT_OUTPUT_FILE = 'public_user_data.json';
+
+// public_user_data.extracted_from for each page source
+const EXTRACTED_FROM = {
+  'rich-results': 'Google Rich Results Test HTML',
+  browser: 'Browser-rendered HTML',
+  http: 'HTTP response HTML',
+  file: 'Saved HTML file'
+};
+
+export const summary = 'Extract public user data through Google Rich Results Test';
+export const usage = 'rich-results <target_url>   (with --source file: <html_file>)';
+export const options = {};
+
+export async function run({ positionals, config }) {
+  const targetUrl = positionals[0];
+  if (!targetUrl) {
+    throw new UsageError('Missing target URL');
+  }
+
+  const outputFile = config.outputFile || DEFAULT_OUTPUT_FILE;
+  const sinks = createSinks(config, {
+    kind: 'public_user_data',
+    store: async (record) => saveResult(record, outputFile),
+    // The file holds every result again once the run is over
+    closeStore: () => openResultStore(outputFile).compact().then(() => {})
+  });
+  const source = createSource(config.source || 'rich-results', config);
+  const artifacts = new ArtifactStore(config, logger.runId);
+  await artifacts.prune();
+  logger.info('Extracting public user data', { url: targetUrl, source: source.name });
+
+  let page = null;
+  let outputData = null;
+  try {
+    // Classified and retried like a profile page; only ok pages get here
+    page = await loadProfilePage(source, targetUrl, config);
+    const { html } = page;
+    logger.debug('HTML extracted', { chars: html.length });
+
+    const userData = extractPublicUserData(html, { extractedFrom: EXTRACTED_FROM[source.name] });
+    logger.info('User data extracted', {
+      name: userData.name, headline: userData.headline, location: userData.location
+    });
+    logger.debug('Extracted user data', { data: userData });
+
+    outputData = {
+      schema_version: PUBLIC_USER_DATA_SCHEMA_VERSION,
+      input_url: targetUrl,
+      scraped_at: new Date().toISOString(),
+      public_user_data: userData,
+      raw_html_length: html.length
+    };
+
+    // Refuse to send results that do not match the published schema
+    assertValidPublicUserData(outputData);
+    await sinks.write(outputData);
+
+    // --debug keeps the page's bundle (page.html and all) even though it worked
+    await artifacts.save(targetUrl, { page, record: outputData, keep: config.debug });
+    return 0;
+  } catch (error) {
+    logger.error(error.message, { url: targetUrl, state: error.state });
+    logger.debug('Stack trace', { stack: error.stack });
+    if (error instanceof PageStateError) {
+      await appendFailure({
+        url: targetUrl, state: error.state, message: error.message, attempts: error.attempts
+      });
+    }
+    await artifacts.save(targetUrl, { page, record: outputData, error });
+    return 1;
+  } finally {
+    if (source.browser && config.debug && !config.headless) {
+      logger.info('Browser left open for debugging. Close it manually when done.');
+    } else {
+      await source.close();
+    }
+    await sinks.close();
+  }
+}
+
+// One per file, so a process keeps its view of the store between calls
+const stores = new Map();
+
+/**
+ * The JournaledStore behind a results file, keyed by the canonical form of
+ * each result's input_url (the URL itself when it is not a profile URL).
+ * @param {string} [filePath]
+ * @returns {JournaledStore}
+ */
+export function openResultStore(filePath = DEFAULT_OUTPUT_FILE) {
+  const file = path.resolve(filePath);
+  if (!stores.has(file)) stores.set(file, new JournaledStore(file, { key: resultKey }));
+  return stores.get(file);
+}
+
+/**
+ * Insert a result, or replace the stored one for the same target URL.
+ * @param {object} record - A validated public_user_data result
+ * @param {string} [filePath]
+ * @returns {Promise<object>}
+ */
+export async function saveResult(record, filePath = DEFAULT_OUTPUT_FILE) {
+  const { previous } = await openResultStore(filePath).upsert(resultKey(record), () => record);
+  logger.info(`Results ${previous ? 'updated in' : 'added to'} ${filePath}`, { url: record.input_url });
+  return record;
+}
+
+function resultKey(record) {
+  const url = record?.input_url;
+  return typeof url === 'string' ? canonicalProfileUrl(url) || url : null;
+}
@@ -0,0 +1,77 @@
+/**
+ * scrape: scrape one or more profiles into the profile store.
+ */
+
+import { createSource } from '../sources.js';
+import {
+  loadProfilePage, parseProfilePage, resolveProfileUrl, createProfileSinks
+} from '../scrape.js';
+import { profileRecord, DEFAULT_STORE_FILE } from '../store.js';
+import { canonicalProfileUrl } from '../profile-url.js';
+import { PageStateError } from '../page-state.js';
+import { appendFailure } from '../failures.js';
+import { RobotsDisallowedError } from '../robots.js';
+import { ArtifactStore } from '../artifacts.js';
+import { fieldFilter, redactFields, expireProfiles } from '../privacy.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const summary = 'Scrape one or more profiles into the profile store (or other --sinks)';
+export const usage = 'scrape <profile_url...>   (with --source file: <html_file...>)';
+export const options = {};
+
+export async function run({ positionals, config }) {
+  if (positionals.length === 0) {
+    throw new UsageError('Missing profile URL');
+  }
+
+  const storeFile = config.outputFile || DEFAULT_STORE_FILE;
+  const fields = fieldFilter(config);
+  const sinks = createProfileSinks(config, storeFile);
+  await expireProfiles({ retentionDays: config.retentionDays, storeFile });
+  const source = createSource(config.source || 'browser', config);
+  const artifacts = new ArtifactStore(config, logger.runId);
+  await artifacts.prune();
+  let failed = 0;
+
+  try {
+    for (const target of positionals) {
+      let page = null;
+      let data = null;
+      let profileUrl = canonicalProfileUrl(target);
+      try {
+        page = await loadProfilePage(source, target, config);
+        data = redactFields(parseProfilePage(page, target), fields);
+        logger.debug('Parsed profile', { url: target, profile: data });
+
+        // Saved files are stored under the profile URL they declare
+        profileUrl = resolveProfileUrl(target, page);
+        if (!profileUrl) {
+          throw new Error('No LinkedIn profile URL found for this page');
+        }
+
+        await sinks.write(profileRecord(profileUrl, data));
+        await artifacts.save(target, { page, record: data, profileUrl });
+      } catch (error) {
+        if (error instanceof RobotsDisallowedError) {
+          logger.info('Skipped', { url: target, reason: error.message });
+          continue;
+        }
+        // Unavailable pages and invalid records are reported and not written
+        logger.error(error.message, { url: target, state: error.state });
+        if (error instanceof PageStateError) {
+          await appendFailure({
+            url: target, state: error.state, message: error.message, attempts: error.attempts
+          });
+        }
+        await artifacts.save(target, { page, record: data, error, profileUrl });
+        failed++;
+      }
+    }
+  } finally {
+    await source.close();
+    await sinks.close();
+  }
+
+  return failed > 0 ? 1 : 0;
+}
@@ -0,0 +1,96 @@
+/**
+ * search: find stored profiles by text in name / headline / about and by
+ * location, company, school, skill and follower count (see search.js).
+ */
+
+import { searchProfiles, SORT_FIELDS } from '../search.js';
+import { DEFAULT_STORE_FILE } from '../store.js';
+import { toCsv } from '../exporters.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const CSV_COLUMNS = [
+  'profile_id', 'profileUrl', 'name', 'headline', 'location', 'current_company',
+  'schools', 'skills', 'followers', 'first_seen', 'last_scraped', 'score'
+];
+
+export const summary = 'Search the profile store by text and filters';
+export const usage = 'search [text] [--location <text>] [--company <text>] [--school <text>] [--skill <text>] ' +
+  '[--min-followers <n>] [--max-followers <n>] [--sort <field>] [--limit <n>] [--format table|json|csv]';
+export const options = {
+  location: { type: 'string' },
+  company: { type: 'string' },
+  school: { type: 'string' },
+  skill: { type: 'string' },
+  'min-followers': { type: 'string' },
+  'max-followers': { type: 'string' },
+  sort: { type: 'string' },
+  limit: { type: 'string', default: '20' },
+  offset: { type: 'string', default: '0' },
+  format: { type: 'string', default: 'table' },
+  input: { type: 'string' }
+};
+
+export async function run({ values, positionals, config }) {
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (values.sort && !SORT_FIELDS.includes(values.sort.replace(/^-/, ''))) {
+    throw new UsageError(`Unknown sort field "${values.sort}" (expected ${SORT_FIELDS.join(', ')})`);
+  }
+
+  const storeFile = values.input || config.outputFile || DEFAULT_STORE_FILE;
+  const { total, results } = await searchProfiles({
+    text: positionals.join(' '),
+    location: values.location,
+    company: values.company,
+    school: values.school,
+    skill: values.skill,
+    minFollowers: integerOption(values, 'min-followers'),
+    maxFollowers: integerOption(values, 'max-followers'),
+    sort: values.sort,
+    limit: integerOption(values, 'limit'),
+    offset: integerOption(values, 'offset')
+  }, { storeFile });
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ total, results }, null, 2));
+  } else if (values.format === 'csv') {
+    const rows = results.map(result => ({
+      ...result, schools: result.schools.join('; '), skills: result.skills.join('; ')
+    }));
+    process.stdout.write(toCsv(CSV_COLUMNS, rows));
+  } else {
+    console.log(formatTable(results));
+  }
+
+  logger.info(`${results.length} of ${total} matching profiles`, { store_file: storeFile });
+  return 0;
+}
+
+function integerOption(values, name) {
+  const value = values[name];
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name}: expected a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+function formatTable(results) {
+  const columns = [
+    ['name', 24], ['headline', 36], ['location', 20], ['current_company', 20], ['followers', 9]
+  ];
+  const cell = (value, width) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return (text.length > width ? text.slice(0, width - 1) + '…' : text).padEnd(width);
+  };
+  const lines = [columns.map(([name, width]) => cell(name, width)).join('  ').trimEnd()];
+  for (const result of results) {
+    lines.push(columns.map(([name, width]) => cell(result[name], width)).join('  ').trimEnd());
+  }
+  return lines.join('\n');
+}
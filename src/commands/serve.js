@@ -0,0 +1,137 @@
+/**
+ * serve: HTTP API and job queue around the scraper (see server.js).
+ *
+ * Jobs are processed by up to --concurrency workers that share one page
+ * source (one browser for the browser-backed sources) and are kept in the
+ * jobs file, so queued jobs survive a restart. Listens on 127.0.0.1 unless
+ * --host says otherwise. Retention is applied hourly, and jobs deleted from
+ * the jobs file by forget are dropped from the queue within a minute.
+ */
+
+import { createSource } from '../sources.js';
+import {
+  loadProfilePage, parseProfilePage, resolveProfileUrl, createProfileSinks
+} from '../scrape.js';
+import { profileRecord, DEFAULT_STORE_FILE } from '../store.js';
+import { canonicalProfileUrl, profileSlug } from '../profile-url.js';
+import { PageStateError } from '../page-state.js';
+import { appendFailure } from '../failures.js';
+import { Limiter } from '../politeness.js';
+import { RobotsDisallowedError } from '../robots.js';
+import { ArtifactStore } from '../artifacts.js';
+import { fieldFilter, redactFields, expireProfiles } from '../privacy.js';
+import { JobQueue, DEFAULT_JOBS_FILE } from '../jobs.js';
+import { createApiServer } from '../server.js';
+import { UsageError } from '../errors.js';
+import { logger } from '../logger.js';
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+
+export const summary = 'Run an HTTP API that queues scrape jobs and serves stored profiles';
+export const usage = 'serve [--port 3000] [--host 127.0.0.1] [--jobs-file scrape_jobs.json]';
+export const options = {
+  port: { type: 'string', default: '3000' },
+  host: { type: 'string', default: '127.0.0.1' },
+  'jobs-file': { type: 'string', default: DEFAULT_JOBS_FILE }
+};
+
+export async function run({ values, config }) {
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`--port: expected a port number, got "${values.port}"`);
+  }
+
+  const storeFile = config.outputFile || DEFAULT_STORE_FILE;
+  const fields = fieldFilter(config);
+  const sinks = createProfileSinks(config, storeFile);
+  const jobsFile = values['jobs-file'];
+  const expire = () => expireProfiles({ retentionDays: config.retentionDays, storeFile, jobsFile });
+  await expire();
+
+  const queue = await JobQueue.load(jobsFile);
+  const source = createSource(config.source || 'browser', config);
+  const artifacts = new ArtifactStore(config, logger.runId);
+  await artifacts.prune();
+  // Saved files and local test servers only name the profile in the page
+  const needsProfileUrl = source.name === 'browser' || source.name === 'rich-results';
+  // The sinks and failures log are written one job at a time
+  const writes = new Limiter(1);
+
+  const processJob = async (job) => {
+    let page = null;
+    let data = null;
+    let profileUrl = canonicalProfileUrl(job.url);
+    try {
+      page = await loadProfilePage(source, job.url, config);
+      profileUrl = resolveProfileUrl(job.url, page);
+      if (!profileUrl) {
+        throw new Error('No LinkedIn profile URL found for this page');
+      }
+
+      data = redactFields(parseProfilePage(page, job.url), fields);
+      const record = profileRecord(profileUrl, data);
+      await writes.run(() => sinks.write(record));
+      logger.info('Scraped', { url: job.url, job: job.id });
+      await artifacts.save(job.url, { page, record: data, profileUrl });
+      return { profileUrl, profile_id: profileSlug(profileUrl) };
+    } catch (error) {
+      if (error instanceof RobotsDisallowedError) {
+        logger.info('Skipped', { url: job.url, job: job.id, reason: error.message });
+        throw error;
+      }
+      logger.error(error.message, { url: job.url, job: job.id, state: error.state });
+      if (error instanceof PageStateError) {
+        await writes.run(() => appendFailure({
+          url: job.url, state: error.state, message: error.message, attempts: error.attempts
+        }));
+      }
+      await artifacts.save(job.url, { page, record: data, error, profileUrl });
+      throw error;
+    }
+  };
+
+  const server = createApiServer({
+    queue,
+    storeFile,
+    validateUrl: url => (needsProfileUrl && !canonicalProfileUrl(url) ? 'not a public profile URL' : null)
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, values.host, resolve);
+  });
+  const address = server.address();
+  logger.info(`Listening on http://${address.address}:${address.port}`, {
+    source: source.name, concurrency: config.concurrency, jobs_file: jobsFile, ...queue.summary()
+  });
+
+  const timers = [
+    setInterval(() => queue.save().catch(error => logger.error(error.message, { jobs_file: jobsFile })), SYNC_INTERVAL_MS),
+    setInterval(() => expire().catch(error => logger.error(error.message)), RETENTION_INTERVAL_MS)
+  ];
+
+  // Ctrl-C / SIGTERM stop accepting requests and finish the jobs in flight
+  let stopping = false;
+  const onSignal = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    logger.warn('Stopping after the jobs in flight (Ctrl-C again to quit now)');
+    server.close();
+    queue.stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  try {
+    await queue.run(processJob, config.concurrency);
+  } finally {
+    timers.forEach(timer => clearInterval(timer));
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    await source.close();
+    await sinks.close();
+  }
+
+  logger.info('Stopped', queue.summary());
+  return 0;
+}
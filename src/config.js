@@ -0,0 +1,323 @@
+/**
+ * Configuration loader.
+ *
+ * Every option can be set from four places. The first one that sets it wins:
+ *   1. command-line flags   (--headless, --max-retries 5, ...)
+ *   2. environment variables (HEADLESS=true, MAX_RETRIES=5, ...)
+ *   3. a .env file in the working directory
+ *   4. a JSON config file   (--config <file>, $SCRAPER_CONFIG, or ./scraper.config.json)
+ * and falls back to the defaults below.
+ *
+ * The config file uses the camelCase option names:
+ *   { "headless": true, "maxRetries": 5, "outputFile": "profiles.json" }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ScraperError } from './errors.js';
+
+export const DEFAULT_CONFIG_FILE = 'scraper.config.json';
+
+/**
+ * Option definitions: name -> { env var, CLI flag, type, default, help }.
+ * String and list options with a values list only accept those values. List
+ * options take a comma-separated string (or an array in the config file).
+ */
+export const CONFIG_OPTIONS = {
+  headless: {
+    env: 'HEADLESS', flag: 'headless', type: 'boolean', default: false,
+    help: 'Run the browser without a window'
+  },
+  maxRetries: {
+    env: 'MAX_RETRIES', flag: 'max-retries', type: 'integer', default: 3,
+    help: 'Retries for transient failures (timeouts, rate limiting)'
+  },
+  retryDelay: {
+    env: 'RETRY_DELAY', flag: 'retry-delay', type: 'integer', default: 2000,
+    help: 'Delay before the first retry (ms); doubles on every further retry'
+  },
+  timeout: {
+    env: 'TIMEOUT', flag: 'timeout', type: 'integer', default: 30000,
+    help: 'General page operation timeout (ms)'
+  },
+  navigationTimeout: {
+    env: 'NAVIGATION_TIMEOUT', flag: 'navigation-timeout', type: 'integer', default: 60000,
+    help: 'Page load timeout (ms)'
+  },
+  requestInterval: {
+    env: 'REQUEST_INTERVAL', flag: 'request-interval', type: 'integer', default: 2000,
+    help: 'Minimum time between two requests to the same host (ms)'
+  },
+  jitter: {
+    env: 'JITTER', flag: 'jitter', type: 'integer', default: 1000,
+    help: 'Random extra delay of up to this many ms per request'
+  },
+  concurrency: {
+    env: 'CONCURRENCY', flag: 'concurrency', type: 'integer', default: 1,
+    help: 'Maximum number of pages open at once'
+  },
+  pagePrep: {
+    env: 'PAGE_PREP', flag: 'page-prep', type: 'boolean', default: true,
+    help: 'Dismiss the sign-in modal, scroll and expand "see more" before reading a rendered page'
+  },
+  settleTimeout: {
+    env: 'SETTLE_TIMEOUT', flag: 'settle-timeout', type: 'integer', default: 5000,
+    help: 'Longest wait for a prepared page to stop changing (ms)'
+  },
+  respectRobots: {
+    env: 'RESPECT_ROBOTS', flag: 'respect-robots', type: 'boolean', default: false,
+    help: 'Skip URLs that robots.txt disallows'
+  },
+  source: {
+    env: 'SOURCE', flag: 'source', type: 'string', default: null,
+    values: ['browser', 'http', 'file', 'rich-results'],
+    help: 'Page source: browser, http, file or rich-results (default: browser; rich-results: rich-results)'
+  },
+  outputFile: {
+    env: 'OUTPUT_FILE', flag: 'output-file', type: 'string', default: null,
+    help: 'Output JSON file (default: profile.json; rich-results: public_user_data.json)'
+  },
+  sinks: {
+    env: 'SINKS', flag: 'sinks', type: 'list', default: ['store'],
+    values: ['store', 'stdout', 'dir', 'webhook'],
+    help: 'Where records go, comma-separated: store, stdout, dir, webhook'
+  },
+  outputDir: {
+    env: 'OUTPUT_DIR', flag: 'output-dir', type: 'string', default: 'profiles',
+    help: 'Directory for the dir sink (one <id>.json per record)'
+  },
+  webhookUrl: {
+    env: 'WEBHOOK_URL', flag: 'webhook-url', type: 'string', default: null,
+    help: 'URL the webhook sink POSTs each record to'
+  },
+  webhookSecret: {
+    env: 'WEBHOOK_SECRET', flag: 'webhook-secret', type: 'string', default: null,
+    help: 'Sign webhook requests with HMAC-SHA256 using this secret'
+  },
+  webhookRetries: {
+    env: 'WEBHOOK_RETRIES', flag: 'webhook-retries', type: 'integer', default: 3,
+    help: 'Retries for webhook network errors, 429 and 5xx responses'
+  },
+  debug: {
+    env: 'DEBUG', flag: 'debug', type: 'boolean', default: false,
+    help: 'Detailed debug logging (log level debug unless --log-level is set)'
+  },
+  logLevel: {
+    env: 'LOG_LEVEL', flag: 'log-level', type: 'string', default: null,
+    values: ['error', 'warn', 'info', 'debug', 'trace'],
+    help: 'error, warn, info, debug or trace (default: info; debug with --debug)'
+  },
+  logFormat: {
+    env: 'LOG_FORMAT', flag: 'log-format', type: 'string', default: 'text',
+    values: ['text', 'json'],
+    help: 'text, or json for one JSON object per log line'
+  },
+  runId: {
+    env: 'RUN_ID', flag: 'run-id', type: 'string', default: null,
+    help: 'Correlation id on every log line (default: a new UUID per run)'
+  },
+  artifacts: {
+    env: 'ARTIFACTS', flag: 'artifacts', type: 'string', default: 'failure',
+    values: ['off', 'failure', 'always'],
+    help: 'Debug artifact bundles: off, failure (failed pages only) or always'
+  },
+  artifactsDir: {
+    env: 'ARTIFACTS_DIR', flag: 'artifacts-dir', type: 'string', default: 'artifacts',
+    help: 'Directory for debug artifact bundles (one subdirectory per run)'
+  },
+  artifactsMaxAge: {
+    env: 'ARTIFACTS_MAX_AGE', flag: 'artifacts-max-age', type: 'integer', default: 14,
+    help: 'Delete artifact runs older than this many days (0: keep)'
+  },
+  artifactsMaxSize: {
+    env: 'ARTIFACTS_MAX_SIZE', flag: 'artifacts-max-size', type: 'integer', default: 500,
+    help: 'Delete the oldest artifact runs above this many MB (0: no limit)'
+  },
+  fieldAllow: {
+    env: 'FIELD_ALLOW', flag: 'field-allow', type: 'list', default: null,
+    help: 'Only store these profile fields (comma-separated)'
+  },
+  fieldDeny: {
+    env: 'FIELD_DENY', flag: 'field-deny', type: 'list', default: null,
+    help: 'Never store these profile fields (comma-separated)'
+  },
+  retentionDays: {
+    env: 'RETENTION_DAYS', flag: 'retention-days', type: 'integer', default: 0,
+    help: 'Delete stored profiles and snapshots older than this many days (0: keep)'
+  }
+};
+
+/**
+ * Thrown for unreadable config files and invalid option values.
+ */
+export class ConfigError extends ScraperError {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Every option at its default value, without reading flags, env or files.
+ * @returns {object}
+ */
+export function defaultConfig() {
+  return Object.fromEntries(Object.entries(CONFIG_OPTIONS).map(([name, def]) => [name, def.default]));
+}
+
+/**
+ * parseArgs() option definitions for the config flags. Boolean options also
+ * get a --no-<flag> form so a flag can switch off what env or files turned on.
+ */
+export function configFlagOptions() {
+  const options = {
+    config: { type: 'string' }
+  };
+  for (const def of Object.values(CONFIG_OPTIONS)) {
+    if (def.type === 'boolean') {
+      options[def.flag] = { type: 'boolean' };
+      options[`no-${def.flag}`] = { type: 'boolean' };
+    } else {
+      options[def.flag] = { type: 'string' };
+    }
+  }
+  return options;
+}
+
+/**
+ * Resolve the configuration.
+ * @param {object} [sources]
+ * @param {object} [sources.flags] - Parsed parseArgs() values
+ * @param {object} [sources.env] - Environment (default: process.env)
+ * @param {string} [sources.cwd] - Directory holding .env and the config file
+ * @returns {Promise<{config: object, sources: object}>} Values plus where each came from
+ * @throws {ConfigError}
+ */
+export async function loadConfig({ flags = {}, env = process.env, cwd = process.cwd() } = {}) {
+  const dotEnv = await readDotEnv(path.join(cwd, '.env'));
+  const configPath = flags.config || env.SCRAPER_CONFIG || dotEnv.SCRAPER_CONFIG;
+  const fileConfig = await readConfigFile(
+    configPath ? path.resolve(cwd, configPath) : path.join(cwd, DEFAULT_CONFIG_FILE),
+    Boolean(configPath)
+  );
+
+  const config = {};
+  const origins = {};
+
+  for (const [name, def] of Object.entries(CONFIG_OPTIONS)) {
+    const candidates = [
+      ['flag', flagValue(flags, def)],
+      ['env', env[def.env]],
+      ['.env', dotEnv[def.env]],
+      ['config file', fileConfig[name]]
+    ];
+    const found = candidates.find(([, value]) => value !== undefined && value !== null && value !== '');
+
+    if (found) {
+      config[name] = coerce(found[1], def, describeOrigin(found[0], name, def));
+      origins[name] = found[0];
+    } else {
+      config[name] = def.default;
+      origins[name] = 'default';
+    }
+  }
+
+  return { config, sources: origins };
+}
+
+/**
+ * Parse a .env file: KEY=value lines, "#" comments, optional quotes.
+ * @param {string} filePath
+ * @returns {Promise<object>}
+ */
+export async function readDotEnv(filePath) {
+  if (!(await fs.pathExists(filePath))) return {};
+
+  const values = {};
+  const content = await fs.readFile(filePath, 'utf8');
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    let value = match[2].trim();
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+      value = quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+async function readConfigFile(filePath, required) {
+  if (!(await fs.pathExists(filePath))) {
+    if (required) throw new ConfigError(`Config file not found: ${filePath}`);
+    return {};
+  }
+
+  try {
+    const data = await fs.readJson(filePath);
+    const unknown = Object.keys(data).filter(key => !(key in CONFIG_OPTIONS));
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown option(s) in ${filePath}: ${unknown.join(', ')}`);
+    }
+    return data;
+  } catch (error) {
+    if (error instanceof ConfigError) throw error;
+    throw new ConfigError(`Could not read config file ${filePath}: ${error.message}`);
+  }
+}
+
+function flagValue(flags, def) {
+  if (def.type === 'boolean') {
+    if (flags[`no-${def.flag}`]) return false;
+    return flags[def.flag] ? true : undefined;
+  }
+  return flags[def.flag];
+}
+
+function describeOrigin(source, name, def) {
+  if (source === 'flag') return `--${def.flag}`;
+  if (source === 'config file') return `config file option "${name}"`;
+  return `${source} ${def.env}`;
+}
+
+function coerce(value, def, origin) {
+  if (def.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(text)) return true;
+    if (['false', '0', 'no', 'off'].includes(text)) return false;
+    throw new ConfigError(`${origin}: expected true or false, got "${value}"`);
+  }
+
+  if (def.type === 'integer') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(number) || number < 0) {
+      throw new ConfigError(`${origin}: expected a non-negative integer, got "${value}"`);
+    }
+    return number;
+  }
+
+  if (def.type === 'list') {
+    const items = (Array.isArray(value) ? value.map(String) : String(value).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    const invalid = def.values ? items.filter(item => !def.values.includes(item)) : [];
+    if (invalid.length > 0) {
+      throw new ConfigError(`${origin}: expected any of ${def.values.join(', ')}, got "${invalid.join(', ')}"`);
+    }
+    return items;
+  }
+
+  const text = String(value);
+  if (def.values && !def.values.includes(text)) {
+    throw new ConfigError(`${origin}: expected one of ${def.values.join(', ')}, got "${value}"`);
+  }
+  return text;
+}
@@ -0,0 +1,60 @@
+/**
+ * Follower / connection count parsing.
+ *   "12M followers"    -> 12000000
+ *   "1,234 followers"  -> 1234
+ *   "500+ connections" -> {min: 500, capped: true}
+ */
+
+const FOLLOWERS_PATTERN = /^([\d.,]+\s*[KMB]?)\+?\s+followers?$/i;
+const CONNECTIONS_PATTERN = /^([\d.,]+\s*[KMB]?)(\+?)\s+connections?$/i;
+
+const MULTIPLIERS = { K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * Parse an abbreviated number: "12M", "1.5K", "1,234".
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseAbbreviatedNumber(text) {
+  const match = (text || '').trim().match(/^([\d.,]+)\s*([KMB])?$/i);
+  if (!match) return null;
+
+  const suffix = match[2]?.toUpperCase();
+  // With a suffix the comma is a decimal separator in some locales ("1,5K")
+  const digits = suffix ? match[1].replace(',', '.') : match[1].replace(/,/g, '');
+  const value = Number(digits);
+  if (!Number.isFinite(value)) return null;
+
+  return Math.round(value * (suffix ? MULTIPLIERS[suffix] : 1));
+}
+
+/**
+ * @param {string} text - e.g. "12M followers"
+ * @returns {number|null}
+ */
+export function parseFollowers(text) {
+  const match = (text || '').trim().match(FOLLOWERS_PATTERN);
+  return match ? parseAbbreviatedNumber(match[1]) : null;
+}
+
+/**
+ * LinkedIn caps the public connection count at "500+".
+ * @param {string} text - e.g. "500+ connections"
+ * @returns {{min: number, capped: boolean}|null}
+ */
+export function parseConnections(text) {
+  const match = (text || '').trim().match(CONNECTIONS_PATTERN);
+  if (!match) return null;
+
+  const min = parseAbbreviatedNumber(match[1]);
+  return min === null ? null : { min, capped: match[2] === '+' };
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} True for "... followers" / "... connections" strings
+ */
+export function isCountText(text) {
+  const value = (text || '').trim();
+  return FOLLOWERS_PATTERN.test(value) || CONNECTIONS_PATTERN.test(value);
+}
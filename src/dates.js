@@ -0,0 +1,170 @@
+/**
+ * Date helpers for the month/year ranges shown on public profiles:
+ *   "Jan 2020 - Present", "2018 - 2021", "Mar 2019", "Jan - Jun 2020",
+ *   "1 year 2 months", "3 yrs 1 mo", "less than a year"
+ * and the dates on activity items: "2w", "3mo", "Mar 5, 2021"
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH = '\\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|' +
+  'aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}\\b|\\b\\d{4}\\b)`;
+// A bare month is only a start date when a range follows ("Jan - Jun 2020")
+const START = `(?:${DATE}|${MONTH}(?=\\s*[-–—]))`;
+const RANGE_PATTERN = new RegExp(
+  `(${START})(?:\\s*[-–—]\\s*(${DATE}|\\bpresent\\b|\\bcurrent\\b|\\bnow\\b))?`, 'i'
+);
+
+/**
+ * Parse "Jan 2020", "January 2020" or "2020".
+ * @param {string} text
+ * @returns {{year: number|null, month: number|null}|null}
+ */
+export function parseMonthYear(text) {
+  if (!text) return null;
+  const match = text.trim().match(/^(?:([a-z]{3,})\.?\s*)?(\d{4})?$/i);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const month = match[1] ? MONTHS[match[1].slice(0, 3).toLowerCase()] : null;
+  if (match[1] && !month) return null;
+
+  return {
+    year: match[2] ? Number(match[2]) : null,
+    month: month || null
+  };
+}
+
+/**
+ * Find and parse the first date range in a piece of text.
+ * @param {string} text
+ * @returns {{start: object|null, end: object|null, is_current: boolean}}
+ */
+export function parseDateRange(text) {
+  const result = { start: null, end: null, is_current: false };
+  const match = (text || '').match(RANGE_PATTERN);
+  if (!match) return result;
+
+  const start = parseMonthYear(match[1]);
+  const endText = match[2];
+
+  if (endText && /^(present|current|now)$/i.test(endText)) {
+    result.is_current = true;
+  } else if (endText) {
+    result.end = parseMonthYear(endText);
+  }
+
+  // "Jan - Jun 2020": the start borrows the end's year
+  if (start && start.year === null && result.end?.year) {
+    start.year = result.end.year;
+  }
+  result.start = start?.year ? start : null;
+  if (result.end && !result.end.year) result.end = null;
+
+  // A single date with no range ("Mar 2019") is a one-off period
+  if (result.start && !endText) {
+    result.end = { ...result.start };
+  }
+
+  return result;
+}
+
+/**
+ * Parse a duration as LinkedIn prints it.
+ * @param {string} text - e.g. "1 year 2 months", "3 yrs 1 mo", "less than a year"
+ * @returns {number|null} Months, or null when the text has no exact duration
+ */
+export function parseDurationText(text) {
+  if (!text) return null;
+  const years = text.match(/(\d+)\s*(?:years?|yrs?)\b/i);
+  const months = text.match(/(\d+)\s*(?:months?|mos?)\b/i);
+  if (!years && !months) return null;
+  return (years ? Number(years[1]) * 12 : 0) + (months ? Number(months[1]) : 0);
+}
+
+/**
+ * Months covered by a range, counting both the first and last month the way
+ * LinkedIn does (Jan 2020 - Jan 2020 is 1 month). An open range runs to `now`.
+ * Year-only ranges count whole years between the two dates.
+ * @param {{year: number, month: number|null}|null} start
+ * @param {{year: number, month: number|null}|null} end
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+export function monthsBetween(start, end, now = new Date()) {
+  if (!start?.year) return null;
+  const last = end || { year: now.getFullYear(), month: now.getMonth() + 1 };
+
+  if (start.month && last.month) {
+    const months = (last.year - start.year) * 12 + (last.month - start.month) + 1;
+    return months > 0 ? months : null;
+  }
+
+  const months = (last.year - start.year) * 12;
+  return months >= 0 ? months : null;
+}
+
+const RELATIVE_UNITS = [
+  [/^(?:s|secs?|seconds?)$/i, 'second'],
+  [/^(?:m|mins?|minutes?)$/i, 'minute'],
+  [/^(?:h|hrs?|hours?)$/i, 'hour'],
+  [/^(?:d|days?)$/i, 'day'],
+  [/^(?:w|wks?|weeks?)$/i, 'week'],
+  [/^(?:mos?|months?)$/i, 'month'],
+  [/^(?:y|yrs?|years?)$/i, 'year']
+];
+
+/**
+ * Parse the age LinkedIn prints on feed items: "3d", "2w", "5mo", "1yr",
+ * "2 weeks ago", "Edited 4h". The whole text has to be the age, so a post
+ * starting "10 years ago" is not one. A lone "m" is minutes, "mo" months.
+ * @param {string} text
+ * @returns {{amount: number, unit: string}|null} unit: second, minute, hour, day, week, month or year
+ */
+export function parseRelativeTime(text) {
+  const match = (text || '').trim().match(/^(?:edited\s+)?(\d+)\s*([a-z]+)(?:\s+ago)?$/i);
+  if (!match) return null;
+  const unit = RELATIVE_UNITS.find(([pattern]) => pattern.test(match[2]))?.[1];
+  return unit ? { amount: Number(match[1]), unit } : null;
+}
+
+/**
+ * The calendar day a relative time points back to. Months and years are
+ * calendar steps, so the result is an estimate to the precision LinkedIn
+ * prints ("2mo" is anywhere from 8 to 12 weeks back).
+ * @param {{amount: number, unit: string}} relative - From parseRelativeTime()
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function estimateDate({ amount, unit }, now = new Date()) {
+  const date = new Date(now.getTime());
+  const seconds = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800 }[unit];
+  if (seconds) {
+    date.setTime(date.getTime() - amount * seconds * 1000);
+  } else if (unit === 'month') {
+    date.setUTCMonth(date.getUTCMonth() - amount);
+  } else {
+    date.setUTCFullYear(date.getUTCFullYear() - amount);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a full date as printed on articles: "Mar 5, 2021", "5 March 2021".
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseCalendarDate(text) {
+  const value = (text || '').trim();
+  const match = value.match(/^([a-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})$/i) ||
+    value.match(/^(\d{1,2})\s+([a-z]{3,})\.?,?\s+(\d{4})$/i);
+  if (!match) return null;
+
+  const [monthText, day] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+  const month = MONTHS[monthText.slice(0, 3).toLowerCase()];
+  if (!month || Number(day) < 1 || Number(day) > 31) return null;
+  return `${match[3]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
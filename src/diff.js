@@ -0,0 +1,76 @@
+/**
+ * Field-level diff between two profile snapshots.
+ */
+
+import { PROFILE_FIELDS } from './profile-parser.js';
+
+/**
+ * Compare two snapshots field by field.
+ * Scalar fields report before/after; list fields also report which items
+ * were added and removed.
+ * @param {object} before - Older profile fields
+ * @param {object} after - Newer profile fields
+ * @returns {Array<{field: string, before: *, after: *, added?: Array, removed?: Array}>}
+ */
+export function diffProfiles(before, after) {
+  const changes = [];
+
+  for (const field of PROFILE_FIELDS) {
+    const oldValue = before?.[field] ?? null;
+    const newValue = after?.[field] ?? null;
+    if (sameValue(oldValue, newValue)) continue;
+
+    const change = { field, before: oldValue, after: newValue };
+    // Item by item when both sides are lists (a missing list counts as empty);
+    // a list replaced by a scalar, or the other way round, is a whole-value change
+    const oldList = oldValue === null ? [] : oldValue;
+    const newList = newValue === null ? [] : newValue;
+    if ((Array.isArray(oldValue) || Array.isArray(newValue)) &&
+        Array.isArray(oldList) && Array.isArray(newList)) {
+      const oldItems = oldList.map(item => JSON.stringify(item));
+      const newItems = newList.map(item => JSON.stringify(item));
+      change.added = newList.filter((_, i) => !oldItems.includes(newItems[i]));
+      change.removed = oldList.filter((_, i) => !newItems.includes(oldItems[i]));
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
+/**
+ * Human-readable rendering of diffProfiles() output.
+ * @param {Array} changes
+ * @returns {string}
+ */
+export function formatDiffText(changes) {
+  if (changes.length === 0) return 'No changes.';
+
+  const lines = [];
+  for (const change of changes) {
+    if (change.added || change.removed) {
+      lines.push(`${change.field}:`);
+      for (const item of change.removed) lines.push(`  - ${formatValue(item)}`);
+      for (const item of change.added) lines.push(`  + ${formatValue(item)}`);
+      // Same items in a different order
+      if (change.added.length === 0 && change.removed.length === 0) {
+        lines.push('  (reordered)');
+      }
+    } else {
+      lines.push(`${change.field}:`);
+      lines.push(`  - ${formatValue(change.before)}`);
+      lines.push(`  + ${formatValue(change.after)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  if (typeof value === 'string') return value.replace(/\s+/g, ' ');
+  return JSON.stringify(value);
+}
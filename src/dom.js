@@ -0,0 +1,146 @@
+/**
+ * DOM helpers that behave the same in jsdom and in a real browser.
+ */
+
+import { JSDOM } from 'jsdom';
+
+// Elements that start a new line when a browser computes innerText
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5',
+  'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TR', 'UL'
+]);
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Parse an HTML string with jsdom and read from its document. The window is
+ * closed afterwards, so nothing read may keep a reference to the DOM.
+ * @param {string} html
+ * @param {(document: Document) => T} read
+ * @returns {T}
+ * @template T
+ */
+export function withDocument(html, read) {
+  const { window } = new JSDOM(html);
+  try {
+    return read(window.document);
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Rendered text of an element. Uses the browser's innerText when it exists
+ * and otherwise approximates it, since jsdom does not implement layout.
+ * @param {Element|null} el
+ * @returns {string}
+ */
+export function innerText(el) {
+  if (!el) return '';
+  if (typeof el.innerText === 'string') return el.innerText;
+
+  let out = '';
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      out += node.nodeValue.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) return;
+    if (node.tagName === 'BR') {
+      out += '\n';
+      return;
+    }
+    const block = BLOCK_TAGS.has(node.tagName);
+    if (block) out += '\n';
+    for (const child of node.childNodes) walk(child);
+    if (block) out += node.tagName === 'P' ? '\n\n' : '\n';
+  };
+  walk(el);
+
+  return out
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Find a profile section by its data-section attribute or, failing that,
+ * by the text of its <h2> heading.
+ * @param {Document} document
+ * @param {string} heading - e.g. "Experience"
+ * @param {string} [dataSection] - e.g. "experience"
+ * @returns {Element|null}
+ */
+export function findSection(document, heading, dataSection) {
+  if (dataSection) {
+    const section = document.querySelector(`section[data-section="${dataSection}"]`);
+    if (section) return section;
+  }
+
+  const target = [...document.querySelectorAll('h2')].find(h =>
+    innerText(h).trim().toLowerCase() === heading.toLowerCase()
+  );
+  return target?.closest('section') || null;
+}
+
+/**
+ * List items of a section that are not nested inside another list item.
+ * @param {Element} section
+ * @returns {Element[]}
+ */
+export function topLevelItems(section) {
+  return [...section.querySelectorAll('li')].filter(li => {
+    const parentItem = li.parentElement.closest('li');
+    return !parentItem || !section.contains(parentItem);
+  });
+}
+
+/**
+ * First element matching `selector` that belongs to `item` itself rather
+ * than to a list item nested inside it.
+ * @param {Element} item
+ * @param {string} selector
+ * @returns {Element|null}
+ */
+export function ownElement(item, selector) {
+  return [...item.querySelectorAll(selector)]
+    .find(el => el.closest('li') === item) || null;
+}
+
+/**
+ * Trimmed text of `ownElement(item, selector)`, or null.
+ * @param {Element} item
+ * @param {string} selector
+ * @returns {string|null}
+ */
+export function ownText(item, selector) {
+  return cleanLine(innerText(ownElement(item, selector)));
+}
+
+/**
+ * Non-empty lines of an element's rendered text, skipping nested lists.
+ * @param {Element} item
+ * @returns {string[]}
+ */
+export function ownLines(item) {
+  const copy = item.cloneNode(true);
+  for (const nested of copy.querySelectorAll('ul, ol')) nested.remove();
+  return innerText(copy)
+    .split('\n')
+    .map(cleanLine)
+    .filter(Boolean);
+}
+
+/**
+ * Collapse whitespace; empty strings become null.
+ * @param {string|null|undefined} text
+ * @returns {string|null}
+ */
+export function cleanLine(text) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value || null;
+}
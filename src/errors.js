@@ -0,0 +1,25 @@
+/**
+ * Errors shared across commands.
+ */
+
+/**
+ * Base class of every error the scraper throws on purpose (page states,
+ * robots.txt, schema validation, configuration, usage), so library callers
+ * can tell them from bugs with one instanceof check.
+ */
+export class ScraperError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScraperError';
+  }
+}
+
+/**
+ * Thrown for bad command-line usage; the CLI prints the command's usage line.
+ */
+export class UsageError extends ScraperError {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Experience section parser.
+ *
+ * Reads the list-item structure of the public profile's Experience section.
+ * Each role becomes one entry:
+ *
+ *   {
+ *     title, company, employment_type,
+ *     start: {year, month}, end: {year, month} | null, is_current,
+ *     duration_months, location, description
+ *   }
+ *
+ * A company that lists several roles ("experience-group") is flattened into
+ * one entry per role, each carrying the group's company name. Its roles are
+ * the items of a list directly inside the group that have a title or a date
+ * range; other nested lists, such as bullet points in a description, belong
+ * to the role they are in.
+ */
+
+import {
+  innerText, findSection, topLevelItems, ownElement, ownText, ownLines, cleanLine
+} from './dom.js';
+import { parseDateRange, parseDurationText, monthsBetween } from './dates.js';
+
+const EMPLOYMENT_TYPES = [
+  'Full-time', 'Part-time', 'Self-employed', 'Freelance', 'Contract',
+  'Internship', 'Apprenticeship', 'Seasonal', 'Temporary', 'Volunteer'
+];
+
+const TITLE_SELECTOR = '.experience-item__title, .profile-section-card__title, h3';
+const SUBTITLE_SELECTOR = '.experience-item__subtitle, .profile-section-card__subtitle, h4';
+const DATE_SELECTOR = '.date-range, .experience-item__duration, .experience-group-position__duration';
+const LOCATION_SELECTOR = '.experience-item__location, .experience-group-position__location, ' +
+  '[class*="location"]';
+const DESCRIPTION_SELECTOR = '.show-more-less-text__text--more, .show-more-less-text__text--less, ' +
+  '[class*="description"]';
+const GROUP_COMPANY_SELECTOR = '.experience-group-header__company, h3, h4';
+
+/**
+ * @param {Document} document
+ * @param {Date} [now] - Reference date for current roles
+ * @returns {object[]}
+ */
+export function parseExperience(document, now = new Date()) {
+  const section = findSection(document, 'Experience', 'experience');
+  if (!section) return [];
+
+  const entries = [];
+  for (const item of topLevelItems(section)) {
+    const positions = groupPositions(item);
+    if (positions.length > 0) {
+      const group = parseGroupHeader(item);
+      for (const position of positions) {
+        entries.push(parseRole(position, group, now));
+      }
+    } else {
+      entries.push(parseRole(item, null, now));
+    }
+  }
+
+  return entries.filter(entry => entry.title || entry.company);
+}
+
+function groupPositions(item) {
+  return [...item.querySelectorAll(':scope > ul > li')].filter(position =>
+    ownElement(position, TITLE_SELECTOR) !== null ||
+    ownElement(position, DATE_SELECTOR) !== null ||
+    ownLines(position).some(line => parseDateRange(line).start)
+  );
+}
+
+function parseGroupHeader(item) {
+  const company = ownText(item, GROUP_COMPANY_SELECTOR) || ownLines(item)[0] || null;
+  return { company: stripEmploymentType(company).rest };
+}
+
+function parseRole(item, group, now) {
+  const structured = ownElement(item, TITLE_SELECTOR) !== null;
+  const fields = structured ? readStructured(item) : readLines(item);
+
+  const { type, rest } = stripEmploymentType(fields.subtitle);
+  const { start, end, is_current } = parseDateRange(fields.dates);
+  const stated = parseDurationText(fields.dates);
+
+  return {
+    title: fields.title,
+    company: rest || group?.company || null,
+    employment_type: type,
+    start,
+    end: is_current ? null : end,
+    is_current,
+    duration_months: stated ?? monthsBetween(start, is_current ? null : end, now),
+    location: fields.location,
+    description: fields.description
+  };
+}
+
+function readStructured(item) {
+  const dateEl = ownElement(item, DATE_SELECTOR) || ownElement(item, 'time')?.parentElement;
+  return {
+    title: ownText(item, TITLE_SELECTOR),
+    subtitle: ownText(item, SUBTITLE_SELECTOR),
+    dates: cleanLine(innerText(dateEl)),
+    location: ownText(item, LOCATION_SELECTOR),
+    description: cleanParagraphs(innerText(ownElement(item, DESCRIPTION_SELECTOR)))
+  };
+}
+
+// Fallback for markup without headings: title, company, dates, location,
+// then anything else is description
+function readLines(item) {
+  const lines = innerText(item).split('\n').map(cleanLine).filter(Boolean);
+  const dateIndex = lines.findIndex(line => parseDateRange(line).start);
+  const header = dateIndex === -1 ? lines : lines.slice(0, dateIndex);
+  const after = dateIndex === -1 ? [] : lines.slice(dateIndex + 1);
+
+  // A short line right after the dates is the location
+  const hasLocation = after.length > 0 && after[0].length <= 80 && !/[.!?]$/.test(after[0]);
+
+  return {
+    title: header[0] || null,
+    subtitle: header[1] || null,
+    dates: dateIndex === -1 ? null : lines[dateIndex],
+    location: hasLocation ? after[0] : null,
+    description: after.slice(hasLocation ? 1 : 0).join('\n') || null
+  };
+}
+
+// "Acme · Full-time" -> {type: "Full-time", rest: "Acme"}
+function stripEmploymentType(text) {
+  if (!text) return { type: null, rest: null };
+
+  let type = null;
+  const parts = text.split('·').map(part => part.trim()).filter(part => {
+    const match = EMPLOYMENT_TYPES.find(t => t.toLowerCase() === part.toLowerCase());
+    if (match && !type) {
+      type = match;
+      return false;
+    }
+    return true;
+  });
+  return { type, rest: parts.join(' · ') || null };
+}
+
+function cleanParagraphs(text) {
+  const value = (text || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return value || null;
+}
@@ -0,0 +1,329 @@
+/**
+ * Exporters for the profile store.
+ *
+ *   CSV    - profiles.csv (one flattened row per profile) plus experience.csv
+ *            and education.csv, linked by profile_id
+ *   NDJSON - one stored record per line, streamed
+ *   SQLite - normalised tables (profiles, experience, education, skills,
+ *            activity, ...); nested values such as activity media are JSON
+ *
+ * profile_id is the profile's public identifier (the /in/<slug> part of its
+ * URL). Entries stored before profileUrl was recorded get "legacy-<n>".
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { profileSlug } from './profile-url.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'sqlite'];
+
+const PROFILE_COLUMNS = [
+  'profile_id', 'profileUrl', 'name', 'headline', 'location',
+  'followers', 'connections_min', 'connections_capped', 'about',
+  'current_company', 'current_company_url', 'education_top', 'education_top_url',
+  'skills', 'languages', 'first_seen', 'last_scraped', 'schema_version'
+];
+
+const EXPERIENCE_COLUMNS = [
+  'profile_id', 'position', 'title', 'company', 'employment_type',
+  'start_year', 'start_month', 'end_year', 'end_month', 'is_current',
+  'duration_months', 'location', 'description'
+];
+
+const EDUCATION_COLUMNS = [
+  'profile_id', 'position', 'school', 'degree', 'field',
+  'start_year', 'end_year', 'description'
+];
+
+// Child tables of the SQLite export: record field -> columns
+const SQLITE_LISTS = {
+  certifications: ['name', 'issuer', 'issue_year', 'issue_month', 'expiry_year',
+    'expiry_month', 'credential_id', 'credential_url'],
+  projects: ['name', 'start_year', 'start_month', 'end_year', 'end_month',
+    'is_current', 'description', 'url'],
+  publications: ['title', 'publisher', 'date_year', 'date_month', 'description', 'url'],
+  honors: ['title', 'issuer', 'date_year', 'date_month', 'description'],
+  languages: ['language', 'proficiency'],
+  activity: ['type', 'text', 'title', 'relative_date', 'absolute_date_estimate', 'url',
+    'reactions_count', 'comments_count', 'media']
+};
+
+/**
+ * Stable id used to link exported rows back to their profile.
+ * @param {object} record
+ * @param {number} index - Position in the store
+ */
+export function profileId(record, index) {
+  return profileSlug(record.profileUrl) || `legacy-${index + 1}`;
+}
+
+/**
+ * Write profiles.csv, experience.csv and education.csv into a directory.
+ * @param {object[]} profiles
+ * @param {string} outDir
+ * @returns {Promise<string[]>} Files written
+ */
+export async function exportCsv(profiles, outDir) {
+  await fs.ensureDir(outDir);
+
+  const profileRows = [];
+  const experienceRows = [];
+  const educationRows = [];
+
+  profiles.forEach((record, index) => {
+    const id = profileId(record, index);
+    profileRows.push(flattenProfile(record, id));
+    experienceRows.push(...objects(record.experience).map((entry, i) => experienceRow(entry, id, i)));
+    educationRows.push(...objects(record.education).map((entry, i) => educationRow(entry, id, i)));
+  });
+
+  const files = [
+    [path.join(outDir, 'profiles.csv'), PROFILE_COLUMNS, profileRows],
+    [path.join(outDir, 'experience.csv'), EXPERIENCE_COLUMNS, experienceRows],
+    [path.join(outDir, 'education.csv'), EDUCATION_COLUMNS, educationRows]
+  ];
+  for (const [file, columns, rows] of files) {
+    await fs.writeFile(file, toCsv(columns, rows), 'utf8');
+  }
+  return files.map(([file]) => file);
+}
+
+/**
+ * Stream every record as one JSON line.
+ * @param {object[]} profiles
+ * @param {import('stream').Writable} stream - e.g. fs.createWriteStream() or process.stdout
+ */
+export async function exportNdjson(profiles, stream) {
+  for (const record of profiles) {
+    if (!stream.write(JSON.stringify(record) + '\n')) {
+      await new Promise(resolve => stream.once('drain', resolve));
+    }
+  }
+}
+
+/**
+ * Write a SQLite database with one table per list section.
+ * @param {object[]} profiles
+ * @param {string} file
+ */
+export async function exportSqlite(profiles, file) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run(`CREATE TABLE profiles (profile_id TEXT PRIMARY KEY, ${PROFILE_COLUMNS.slice(1).join(', ')})`);
+    db.run(childTableSql('experience', EXPERIENCE_COLUMNS.slice(2)));
+    db.run(childTableSql('education', EDUCATION_COLUMNS.slice(2)));
+    db.run(childTableSql('skills', ['skill']));
+    for (const [table, columns] of Object.entries(SQLITE_LISTS)) {
+      db.run(childTableSql(table, columns));
+    }
+
+    db.run('BEGIN');
+    const insert = (table, columns, row) => {
+      db.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(c => sqlValue(row[c]))
+      );
+    };
+
+    profiles.forEach((record, index) => {
+      const id = profileId(record, index);
+      insert('profiles', PROFILE_COLUMNS, flattenProfile(record, id));
+
+      objects(record.experience).forEach((entry, i) =>
+        insert('experience', EXPERIENCE_COLUMNS, experienceRow(entry, id, i)));
+      objects(record.education).forEach((entry, i) =>
+        insert('education', EDUCATION_COLUMNS, educationRow(entry, id, i)));
+      strings(record.skills).forEach((skill, i) =>
+        insert('skills', ['profile_id', 'position', 'skill'], { profile_id: id, position: i, skill }));
+
+      for (const [table, columns] of Object.entries(SQLITE_LISTS)) {
+        objects(record[table]).forEach((entry, i) =>
+          insert(table, ['profile_id', 'position', ...columns],
+            { profile_id: id, position: i, ...splitDates(entry) }));
+      }
+    });
+    db.run('COMMIT');
+
+    await fs.ensureDir(path.dirname(path.resolve(file)));
+    await fs.writeFile(file, Buffer.from(db.export()));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete one profile's rows from the exports in a directory (CSV, NDJSON and
+ * SQLite, whichever exist).
+ * @param {string} outDir
+ * @param {string} id - profile_id of the profile
+ * @returns {Promise<Object<string, number>>} Rows deleted per file
+ */
+export async function removeFromExports(outDir, id) {
+  const removed = {};
+
+  for (const name of ['profiles.csv', 'experience.csv', 'education.csv']) {
+    const file = path.join(outDir, name);
+    if (!(await fs.pathExists(file))) continue;
+    const [header, ...rows] = csvRecords(await fs.readFile(file, 'utf8'));
+    const kept = rows.filter(row => firstCsvCell(row) !== id);
+    removed[file] = rows.length - kept.length;
+    if (removed[file] > 0) await fs.writeFile(file, [header, ...kept].join('\r\n') + '\r\n', 'utf8');
+  }
+
+  const ndjson = path.join(outDir, 'profiles.ndjson');
+  if (await fs.pathExists(ndjson)) {
+    const lines = (await fs.readFile(ndjson, 'utf8')).split('\n').filter(line => line.trim());
+    const kept = lines.filter(line => profileSlug(JSON.parse(line).profileUrl) !== id);
+    removed[ndjson] = lines.length - kept.length;
+    if (removed[ndjson] > 0) await fs.writeFile(ndjson, kept.map(line => line + '\n').join(''), 'utf8');
+  }
+
+  const sqlite = path.join(outDir, 'profiles.sqlite');
+  if (await fs.pathExists(sqlite)) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(await fs.readFile(sqlite));
+    try {
+      let count = 0;
+      // Exports written by earlier versions lack the newer list tables
+      const existing = new Set(
+        db.exec("SELECT name FROM sqlite_master WHERE type = 'table'")[0]?.values.map(([name]) => name) ?? []
+      );
+      // Child tables first; they reference profiles(profile_id)
+      const tables = ['experience', 'education', 'skills', ...Object.keys(SQLITE_LISTS), 'profiles']
+        .filter(table => existing.has(table));
+      for (const table of tables) {
+        db.run(`DELETE FROM ${table} WHERE profile_id = ?`, [id]);
+        count += db.getRowsModified();
+      }
+      removed[sqlite] = count;
+      if (count > 0) await fs.writeFile(sqlite, Buffer.from(db.export()));
+    } finally {
+      db.close();
+    }
+  }
+
+  return removed;
+}
+
+function childTableSql(table, columns) {
+  return `CREATE TABLE ${table} (` +
+    'profile_id TEXT NOT NULL REFERENCES profiles(profile_id), position INTEGER NOT NULL, ' +
+    `${columns.join(', ')}, PRIMARY KEY (profile_id, position))`;
+}
+
+function flattenProfile(record, id) {
+  return {
+    profile_id: id,
+    profileUrl: record.profileUrl ?? null,
+    name: record.name ?? null,
+    headline: record.headline ?? null,
+    location: record.location ?? null,
+    followers: record.followers ?? null,
+    connections_min: record.connections?.min ?? null,
+    connections_capped: record.connections?.capped ?? null,
+    about: record.about ?? null,
+    current_company: record.current_company ?? null,
+    current_company_url: record.current_company_url ?? null,
+    education_top: record.education_top ?? null,
+    education_top_url: record.education_top_url ?? null,
+    skills: strings(record.skills).join('; '),
+    languages: objects(record.languages)
+      .map(l => (l.proficiency ? `${l.language} (${l.proficiency})` : l.language))
+      .join('; '),
+    first_seen: record.first_seen ?? null,
+    last_scraped: record.last_scraped ?? null,
+    schema_version: record.schema_version ?? null
+  };
+}
+
+function experienceRow(entry, id, position) {
+  return {
+    profile_id: id,
+    position,
+    ...entry,
+    start_year: entry.start?.year ?? null,
+    start_month: entry.start?.month ?? null,
+    end_year: entry.end?.year ?? null,
+    end_month: entry.end?.month ?? null
+  };
+}
+
+function educationRow(entry, id, position) {
+  return { profile_id: id, position, ...entry };
+}
+
+// {issue_date: {year, month}} -> {issue_year, issue_month}
+function splitDates(entry) {
+  const row = { ...entry };
+  for (const [key, value] of Object.entries(entry)) {
+    if (value && typeof value === 'object' && 'year' in value) {
+      const prefix = key.replace(/_date$/, '');
+      row[`${prefix}_year`] = value.year;
+      row[`${prefix}_month`] = value.month;
+    }
+  }
+  return row;
+}
+
+// Older records may hold plain strings where newer ones hold objects
+function objects(list) {
+  return Array.isArray(list) ? list.filter(item => item && typeof item === 'object') : [];
+}
+
+function strings(list) {
+  return Array.isArray(list) ? list.filter(item => typeof item === 'string') : [];
+}
+
+function sqlValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * CSV text (RFC 4180, CRLF line ends) for rows of objects.
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvCell(row[c])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Split CSV text into raw records; quoted cells may hold line breaks
+function csvRecords(text) {
+  const records = [];
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\r' || char === '\n')) {
+      if (i > start) records.push(text.slice(start, i));
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      start = i + 1;
+    }
+  }
+  if (start < text.length) records.push(text.slice(start));
+  return records;
+}
+
+function firstCsvCell(record) {
+  const match = record.match(/^"((?:[^"]|"")*)"|^[^,]*/);
+  return match[1] !== undefined ? match[1].replace(/""/g, '"') : match[0];
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,36 @@
+/**
+ * Failures log: every scrape that did not produce a record is appended to a
+ * JSON-lines file, one outcome per line:
+ *
+ *   {"url": "...", "state": "not_found", "message": "...", "attempts": 1, "at": "..."}
+ *
+ * state is one of the page states in page-state.js. Appends and removals
+ * hold scrape_failures.jsonl.lock (see storage.js).
+ */
+
+import { appendJsonLine, removeJsonLines } from './storage.js';
+
+export const DEFAULT_FAILURES_FILE = 'scrape_failures.jsonl';
+
+/**
+ * Record a failed scrape.
+ * @param {object} failure
+ * @param {string} failure.url
+ * @param {string} failure.state
+ * @param {string} failure.message
+ * @param {number} [failure.attempts]
+ * @param {string} [filePath]
+ */
+export async function appendFailure({ url, state, message, attempts = 1 }, filePath = DEFAULT_FAILURES_FILE) {
+  await appendJsonLine(filePath, { url, state, message, attempts, at: new Date().toISOString() });
+}
+
+/**
+ * Delete entries from the failures log.
+ * @param {(failure: object) => boolean} predicate - True for entries to delete
+ * @param {string} [filePath]
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function removeFailures(predicate, filePath = DEFAULT_FAILURES_FILE) {
+  return (await removeJsonLines(filePath, predicate)).length;
+}
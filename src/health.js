@@ -0,0 +1,163 @@
+/**
+ * Selector drift detection.
+ *
+ * The extractors rely on LinkedIn's markup; when it changes, fields quietly
+ * come back null. Running an extractor over a corpus of saved HTML pages and
+ * counting, per field, how many pages it was filled on shows which selectors
+ * stopped matching. The fill rates are compared against a baseline saved from
+ * an earlier run:
+ *
+ *   {"version": 1, "extractor": "profile", "created_at": "...", "pages": 12,
+ *    "fields": {"name": 1, "headline": 0.92, "experience": 0.75, ...}}
+ *
+ * A field whose fill rate dropped by more than the threshold (percentage
+ * points) is a regression.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { parseProfileHtml, PROFILE_FIELDS } from './profile-parser.js';
+import { extractPublicUserData } from './public-user-data.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_BASELINE_FILE = 'coverage-baseline.json';
+export const DEFAULT_THRESHOLD = 10;
+
+// Extractors a corpus can be checked with: name -> {extract, fields}
+export const HEALTH_EXTRACTORS = {
+  profile: { extract: parseProfileHtml, fields: PROFILE_FIELDS },
+  'public-user-data': { extract: html => extractPublicUserData(html), fields: null }
+};
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Saved HTML pages under a directory, in a stable order.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+export async function listHtmlFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listHtmlFiles(entryPath));
+    } else if (/\.html?$/i.test(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Whether an extracted value counts as found: not null, not an empty
+ * string, list or object.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isFilled(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.values(value).some(isFilled);
+  return true;
+}
+
+/**
+ * Per-field fill rates over a set of extracted records.
+ * @param {object[]} records - A page that failed to parse counts as all-empty
+ * @param {string[]} [fields] - Defaults to every key seen in the records
+ * @returns {{pages: number, fields: Object<string, {filled: number, rate: number}>}}
+ */
+export function fieldCoverage(records, fields = null) {
+  const names = fields || [...new Set(records.flatMap(record => Object.keys(record || {})))];
+  const coverage = {};
+  for (const field of names) {
+    const filled = records.filter(record => isFilled(record?.[field])).length;
+    coverage[field] = { filled, rate: records.length > 0 ? filled / records.length : 0 };
+  }
+  return { pages: records.length, fields: coverage };
+}
+
+/**
+ * Run an extractor over every saved page of a corpus.
+ * @param {string} dir
+ * @param {string} [extractor] - Key of HEALTH_EXTRACTORS
+ * @returns {Promise<{pages: number, fields: object, errors: Array<{file: string, message: string}>}>}
+ */
+export async function corpusCoverage(dir, extractor = 'profile') {
+  const { extract, fields } = HEALTH_EXTRACTORS[extractor];
+  const files = await listHtmlFiles(dir);
+
+  const records = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      records.push(extract(await fs.readFile(file, 'utf8')));
+    } catch (error) {
+      logger.warn('Could not parse saved page', { file, error: error.message });
+      errors.push({ file, message: error.message });
+      records.push(null);
+    }
+  }
+  return { ...fieldCoverage(records, fields), errors };
+}
+
+/**
+ * Compare fill rates with a baseline.
+ * @param {{fields: object}} coverage - Result of fieldCoverage()
+ * @param {{fields: Object<string, number>}|null} baseline
+ * @param {number} [threshold] - Largest allowed drop, in percentage points
+ * @returns {Array<{field: string, rate: number, baseline: number|null, change: number|null, regressed: boolean}>}
+ */
+export function compareCoverage(coverage, baseline, threshold = DEFAULT_THRESHOLD) {
+  const names = [...new Set([...Object.keys(coverage.fields), ...Object.keys(baseline?.fields || {})])];
+  return names.map(field => {
+    const rate = coverage.fields[field]?.rate ?? 0;
+    const before = baseline?.fields[field] ?? null;
+    const change = before === null ? null : rate - before;
+    return {
+      field,
+      rate,
+      baseline: before,
+      change,
+      regressed: change !== null && -change * 100 > threshold
+    };
+  });
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<object|null>} The baseline, or null if there is none yet
+ */
+export async function readBaseline(filePath) {
+  if (!(await fs.pathExists(filePath))) return null;
+  const baseline = await fs.readJson(filePath);
+  if (baseline.version !== BASELINE_VERSION || typeof baseline.fields !== 'object') {
+    throw new Error(`${filePath} is not a coverage baseline (version ${BASELINE_VERSION})`);
+  }
+  return baseline;
+}
+
+/**
+ * Save the current fill rates as the new baseline.
+ * @param {string} filePath
+ * @param {{pages: number, fields: object}} coverage
+ * @param {string} extractor
+ */
+export async function writeBaseline(filePath, coverage, extractor) {
+  const fields = Object.fromEntries(
+    Object.entries(coverage.fields).map(([field, { rate }]) => [field, round(rate)])
+  );
+  await fs.writeJson(filePath, {
+    version: BASELINE_VERSION,
+    extractor,
+    created_at: new Date().toISOString(),
+    pages: coverage.pages,
+    fields
+  }, { spaces: 2 });
+}
+
+function round(rate) {
+  return Math.round(rate * 10000) / 10000;
+}
@@ -0,0 +1,55 @@
+/**
+ * Profile history: every scrape is kept as a timestamped snapshot in an
+ * append-only JSON-lines file, one snapshot per line:
+ *
+ *   {"schema_version": 1, "profileUrl": "...", "scraped_at": "...", "data": { ...profile fields }}
+ *
+ * Appends and removals hold profile_history.jsonl.lock (see storage.js).
+ */
+
+import { canonicalProfileUrl } from './profile-url.js';
+import { appendJsonLine, readJsonLines, removeJsonLines } from './storage.js';
+import { PROFILE_SCHEMA_VERSION } from './schema.js';
+
+export const DEFAULT_HISTORY_FILE = 'profile_history.jsonl';
+
+/**
+ * Record a snapshot of a profile.
+ * @param {string} profileUrl
+ * @param {object} data - Profile fields as parsed
+ * @param {string} scrapedAt - ISO timestamp
+ * @param {string} [filePath]
+ */
+export async function appendSnapshot(profileUrl, data, scrapedAt, filePath = DEFAULT_HISTORY_FILE) {
+  await appendJsonLine(filePath, {
+    schema_version: PROFILE_SCHEMA_VERSION,
+    profileUrl: canonicalProfileUrl(profileUrl),
+    scraped_at: scrapedAt,
+    data
+  });
+}
+
+/**
+ * All snapshots of one profile, oldest first.
+ * @param {string} profileUrl - Any form of the profile URL
+ * @param {string} [filePath]
+ * @returns {Promise<Array<{profileUrl: string, scraped_at: string, data: object}>>}
+ */
+export async function readSnapshots(profileUrl, filePath = DEFAULT_HISTORY_FILE) {
+  const key = canonicalProfileUrl(profileUrl);
+  if (!key) return [];
+
+  return (await readJsonLines(filePath))
+    .filter(snapshot => snapshot?.profileUrl === key)
+    .sort((a, b) => a.scraped_at.localeCompare(b.scraped_at));
+}
+
+/**
+ * Delete snapshots from the history file.
+ * @param {(snapshot: object) => boolean} predicate - True for snapshots to delete
+ * @param {string} [filePath]
+ * @returns {Promise<object[]>} The deleted snapshots
+ */
+export async function removeSnapshots(predicate, filePath = DEFAULT_HISTORY_FILE) {
+  return removeJsonLines(filePath, predicate);
+}
@@ -0,0 +1,315 @@
+/**
+ * Type declarations for the library API (src/index.js).
+ */
+
+/** Text field; null when the page does not show it. */
+export type Text = string | null;
+
+export interface MonthYear {
+  year: number;
+  month: number | null;
+}
+
+export interface ExperienceEntry {
+  title: Text;
+  company: Text;
+  employment_type?: Text;
+  start: MonthYear | null;
+  end: MonthYear | null;
+  is_current: boolean;
+  duration_months?: number | null;
+  location?: Text;
+  description?: Text;
+}
+
+export interface EducationEntry {
+  school: Text;
+  degree?: Text;
+  field?: Text;
+  start_year?: number | null;
+  end_year?: number | null;
+  description?: Text;
+}
+
+export interface ActivityMedia {
+  type: 'image' | 'video' | 'document';
+  url: string;
+}
+
+export interface ActivityItem {
+  /** Records scraped before activity was structured hold only text and url. */
+  type?: 'post' | 'repost' | 'article' | 'comment' | 'reaction';
+  text: Text;
+  /** Title of the linked article, for articles and posts sharing one. */
+  title?: Text;
+  /** Age as printed ("2w", "3mo"); null for articles, which print a date. */
+  relative_date?: Text;
+  /** YYYY-MM-DD: the printed date, or the day the age points back to. */
+  absolute_date_estimate?: Text;
+  url?: Text;
+  reactions_count?: number | null;
+  comments_count?: number | null;
+  media?: ActivityMedia[];
+}
+
+export interface Certification {
+  name: Text;
+  issuer?: Text;
+  issue_date?: MonthYear | null;
+  expiry_date?: MonthYear | null;
+  credential_id?: Text;
+  credential_url?: Text;
+}
+
+export interface Project {
+  name: Text;
+  start?: MonthYear | null;
+  end?: MonthYear | null;
+  is_current?: boolean;
+  description?: Text;
+  url?: Text;
+}
+
+export interface Publication {
+  title: Text;
+  publisher?: Text;
+  date?: MonthYear | null;
+  description?: Text;
+  url?: Text;
+}
+
+export interface Honor {
+  title: Text;
+  issuer?: Text;
+  date?: MonthYear | null;
+  description?: Text;
+}
+
+export interface Language {
+  language: Text;
+  proficiency?: Text;
+}
+
+/** Fields parsed from a public profile page (see schemas/profile.v1.schema.json). */
+export interface Profile {
+  name: Text;
+  headline: Text;
+  location: Text;
+  followers: number | null;
+  followers_raw: Text;
+  connections: { min: number; capped: boolean } | null;
+  connections_raw: Text;
+  about: Text;
+  current_company: Text;
+  current_company_url: Text;
+  education_top: Text;
+  education_top_url: Text;
+  experience: ExperienceEntry[];
+  education: EducationEntry[];
+  skills: string[];
+  activity: ActivityItem[];
+  certifications: Certification[];
+  projects: Project[];
+  publications: Publication[];
+  honors: Honor[];
+  languages: Language[];
+}
+
+export interface Organization {
+  name: string;
+  url: string;
+}
+
+/** Public user data read from meta tags and JSON-LD (see schemas/public-user-data.v2.schema.json). */
+export interface PublicUserData {
+  name: string;
+  headline: string;
+  location: string;
+  bio: string;
+  profile_image: string;
+  social_links: string[];
+  works_for: Organization[];
+  alumni_of: Organization[];
+  same_as: string[];
+  address: { locality: string; region: string; country: string };
+  followers: number | null;
+  title: string;
+  meta_description: string;
+  extracted_from: string;
+}
+
+export type SourceName = 'browser' | 'http' | 'file' | 'rich-results';
+
+/** Anything pages can be opened in: a patchright Browser or BrowserContext. */
+export interface PageOpener {
+  newPage(): Promise<unknown>;
+}
+
+export interface ScrapeOptions {
+  /** Where the page comes from (default: browser). */
+  source?: SourceName;
+  /** Browser or context to open the page in; it is left open. */
+  browser?: PageOpener;
+  headless?: boolean;
+  maxRetries?: number;
+  retryDelay?: number;
+  timeout?: number;
+  navigationTimeout?: number;
+  /** Dismiss the sign-in modal, scroll and expand "see more" before reading (browser source). */
+  pagePrep?: boolean;
+  settleTimeout?: number;
+  requestInterval?: number;
+  jitter?: number;
+  concurrency?: number;
+  respectRobots?: boolean;
+  debug?: boolean;
+
+  // The rest of CONFIG_OPTIONS is accepted, so a config object shared with
+  // the CLI can be passed as is, but only the CLI acts on it: scrapeProfile
+  // does not store or send records, and keeps no artifacts.
+  outputFile?: string | null;
+  sinks?: Array<'store' | 'stdout' | 'dir' | 'webhook'>;
+  outputDir?: string;
+  webhookUrl?: string | null;
+  webhookSecret?: string | null;
+  webhookRetries?: number;
+  logLevel?: 'error' | 'warn' | 'info' | 'debug' | 'trace' | null;
+  logFormat?: 'text' | 'json';
+  runId?: string | null;
+  artifacts?: 'off' | 'failure' | 'always';
+  artifactsDir?: string;
+  artifactsMaxAge?: number;
+  artifactsMaxSize?: number;
+  fieldAllow?: string[] | null;
+  fieldDeny?: string[] | null;
+  retentionDays?: number;
+}
+
+export interface ScrapeResult {
+  /** Canonical profile URL, or null if neither the URL nor the page names one. */
+  profileUrl: string | null;
+  /** Where the page ended up after redirects. */
+  url: string;
+  /** HTTP status, when the source knows it. */
+  status: number | null;
+  profile: Profile;
+}
+
+export type PageState = 'ok' | 'not_found' | 'auth_required' | 'rate_limited' | 'timeout' | 'parse_error';
+
+export const PAGE_STATES: Readonly<{
+  OK: 'ok';
+  NOT_FOUND: 'not_found';
+  AUTH_REQUIRED: 'auth_required';
+  RATE_LIMITED: 'rate_limited';
+  TIMEOUT: 'timeout';
+  PARSE_ERROR: 'parse_error';
+}>;
+
+export const PROFILE_FIELDS: ReadonlyArray<keyof Profile>;
+export const SOURCE_NAMES: ReadonlyArray<SourceName>;
+export const CONFIG_OPTIONS: Readonly<Record<string, {
+  env: string;
+  flag: string;
+  type: 'boolean' | 'integer' | 'string' | 'list';
+  default: unknown;
+  values?: string[];
+  help: string;
+}>>;
+
+/** Base class of every error the scraper throws on purpose. */
+export class ScraperError extends Error {}
+
+/** The page was fetched (or not) but is not a readable profile. */
+export class PageStateError extends ScraperError {
+  constructor(state: PageState, url: string, detail: string);
+  state: Exclude<PageState, 'ok'>;
+  url: string;
+  /** Number of fetch attempts made. */
+  attempts?: number;
+  /** True for states worth retrying later (timeout, rate_limited). */
+  readonly transient: boolean;
+}
+
+export class RobotsDisallowedError extends ScraperError {
+  url: string;
+  rule: string;
+}
+
+export class ValidationError extends ScraperError {
+  errors: string[];
+}
+
+export class ConfigError extends ScraperError {}
+
+export class UsageError extends ScraperError {}
+
+/**
+ * Fetch and parse one public profile. Errors other than these (an unreadable
+ * file, a browser that fails to launch) are passed through unchanged.
+ * @throws {PageStateError | RobotsDisallowedError | ConfigError}
+ */
+export function scrapeProfile(url: string, options?: ScrapeOptions): Promise<ScrapeResult>;
+
+/** Parse a saved public profile page. */
+export function parseProfileHtml(html: string): Profile;
+
+/** Read public user data from meta tags and JSON-LD. */
+export function extractPublicUserData(html: string, options?: { extractedFrom?: string }): PublicUserData;
+
+export type SortField = 'relevance' | 'name' | 'followers' | 'last_scraped' | 'first_seen';
+
+export const SORT_FIELDS: ReadonlyArray<SortField>;
+
+export interface SearchQuery {
+  /** Words to find in name / headline / about; each must match a word or its start. */
+  text?: string;
+  location?: string;
+  company?: string;
+  school?: string;
+  skill?: string;
+  minFollowers?: number;
+  maxFollowers?: number;
+  /** A sort field, with "-" in front for descending. */
+  sort?: SortField | `-${SortField}`;
+  limit?: number;
+  offset?: number;
+}
+
+export interface SearchResult {
+  profileUrl: string | null;
+  profile_id: string | null;
+  name: Text;
+  headline: Text;
+  location: Text;
+  current_company: Text;
+  schools: string[];
+  skills: string[];
+  followers: number | null;
+  first_seen: Text;
+  last_scraped: Text;
+  /** Relevance, when the query has text. */
+  score?: number;
+}
+
+/** Search the profile store (default profile.json), through an index kept next to it. */
+export function searchProfiles(
+  query?: SearchQuery,
+  options?: { storeFile?: string; indexFile?: string }
+): Promise<{ total: number; results: SearchResult[] }>;
+
+export function canonicalProfileUrl(url: string): string | null;
+export function isProfileUrl(url: string): boolean;
+
+export interface Logger {
+  configure(options?: { level?: 'error' | 'warn' | 'info' | 'debug' | 'trace'; format?: 'text' | 'json'; runId?: string; stream?: { write(chunk: string): unknown } }): void;
+  readonly runId: string;
+  error(message: string, fields?: object): void;
+  warn(message: string, fields?: object): void;
+  info(message: string, fields?: object): void;
+  debug(message: string, fields?: object): void;
+  trace(message: string, fields?: object): void;
+}
+
+/** Process-wide logger (stderr, level info); configure() it to quiet or redirect. */
+export const logger: Logger;
@@ -0,0 +1,65 @@
+/**
+ * Library API, for services that embed the scraper instead of running the
+ * CLI. Nothing here reads flags, environment variables or config files, or
+ * writes to the profile store; callers get the data back and decide.
+ * searchProfiles() reads the store and keeps its search index next to it.
+ *
+ *   import { scrapeProfile, parseProfileHtml, extractPublicUserData } from 'linkedin-scraper';
+ *
+ *   const { profile } = await scrapeProfile('https://www.linkedin.com/in/username/', { headless: true });
+ *
+ * Type declarations are in index.d.ts.
+ */
+
+import { createSource, SOURCE_NAMES } from './sources.js';
+import { loadProfilePage, parseProfilePage, resolveProfileUrl } from './scrape.js';
+import { defaultConfig, ConfigError } from './config.js';
+
+export { parseProfileHtml, PROFILE_FIELDS } from './profile-parser.js';
+export { extractPublicUserData } from './public-user-data.js';
+export { searchProfiles, SORT_FIELDS } from './search.js';
+export { canonicalProfileUrl, isProfileUrl } from './profile-url.js';
+export { SOURCE_NAMES } from './sources.js';
+export { ScraperError, UsageError } from './errors.js';
+export { PageStateError, PAGE_STATES } from './page-state.js';
+export { RobotsDisallowedError } from './robots.js';
+export { ValidationError } from './schema.js';
+export { ConfigError, CONFIG_OPTIONS } from './config.js';
+export { logger } from './logger.js';
+
+/**
+ * Fetch and parse one public profile.
+ * @param {string} url - Profile URL (or file path with source "file")
+ * @param {object} [options] - Any option from CONFIG_OPTIONS (headless,
+ *   timeout, maxRetries, requestInterval, respectRobots, ...), plus:
+ * @param {string} [options.source] - One of SOURCE_NAMES (default: browser)
+ * @param {object} [options.browser] - patchright Browser or BrowserContext to
+ *   open the page in; it is left open. Without one, a browser is launched
+ *   and closed again.
+ * @returns {Promise<{profileUrl: string|null, url: string, status: number|null, profile: object}>}
+ * @throws {PageStateError} When the page is not a readable profile (error.state says why)
+ * @throws {RobotsDisallowedError} With respectRobots, for disallowed URLs
+ * @throws {ConfigError} For unknown options or sources
+ */
+export async function scrapeProfile(url, options = {}) {
+  const { source: sourceName = 'browser', browser = null, ...overrides } = options;
+  if (!SOURCE_NAMES.includes(sourceName)) {
+    throw new ConfigError(`Unknown page source "${sourceName}" (expected ${SOURCE_NAMES.join(', ')})`);
+  }
+  const defaults = defaultConfig();
+  const unknown = Object.keys(overrides).filter(key => !(key in defaults));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown option(s): ${unknown.join(', ')}`);
+  }
+
+  // Debug bundles are written by the CLI; a library call keeps nothing on disk
+  const config = { ...defaults, ...overrides, artifacts: 'off' };
+  const source = createSource(sourceName, config, browser);
+  try {
+    const page = await loadProfilePage(source, url, config);
+    const profile = parseProfilePage(page, url);
+    return { profileUrl: resolveProfileUrl(url, page), url: page.url, status: page.status, profile };
+  } finally {
+    await source.close();
+  }
+}
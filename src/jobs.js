@@ -0,0 +1,213 @@
+/**
+ * Job queue for the HTTP API (see server.js): one job per profile URL,
+ * processed by a bounded pool of workers and persisted to a JSON file after
+ * every change, so queued jobs survive a restart.
+ *
+ * {
+ *   "updated_at": "...",
+ *   "jobs": [
+ *     { "id": "...", "url": "...", "status": "queued" | "running" | "done" | "failed",
+ *       "state": "ok", "error": null, "result": { "profileUrl": "...", "profile_id": "..." },
+ *       "attempts": 1, "created_at": "...", "started_at": "...", "finished_at": "..." }
+ *   ]
+ * }
+ *
+ * Jobs that were running when the process stopped are queued again on load.
+ *
+ * The file is written under <file>.lock. Jobs may be deleted from it while a
+ * queue has it open (forget and retention, see privacy.js): the queue reads
+ * the file back before each write and drops the jobs that are gone from it.
+ */
+
+import fs from 'fs-extra';
+import { writeJsonAtomic, FileLock } from './storage.js';
+import { randomUUID } from 'crypto';
+import { Limiter } from './politeness.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_JOBS_FILE = 'scrape_jobs.json';
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+});
+
+/**
+ * Delete jobs from a jobs file (see privacy.js). A server running on the
+ * same file drops them from its queue on its next write.
+ * @param {(job: object) => boolean} predicate - True for jobs to delete
+ * @param {string} [filePath]
+ * @returns {Promise<object[]>} The deleted jobs
+ */
+export async function removeJobs(predicate, filePath = DEFAULT_JOBS_FILE) {
+  return new FileLock(`${filePath}.lock`).run(async () => {
+    if (!(await fs.pathExists(filePath))) return [];
+
+    const state = await fs.readJson(filePath);
+    const jobs = state.jobs || [];
+    const removed = jobs.filter(job => predicate(job));
+    if (removed.length > 0) {
+      const kept = jobs.filter(job => !removed.includes(job));
+      await writeJsonAtomic(filePath, { ...state, updated_at: new Date().toISOString(), jobs: kept }, { spaces: 2 });
+    }
+    return removed;
+  });
+}
+
+export class JobQueue {
+  constructor(filePath, state) {
+    this.filePath = filePath;
+    this.state = state;
+    this.lock = new FileLock(`${filePath}.lock`);
+    // Ids of the jobs the file held after our last write
+    this.saved = new Set(state.jobs.map(job => job.id));
+    this.writes = new Limiter(1);
+    this.waiting = [];
+    this.stopping = false;
+  }
+
+  /**
+   * Load the jobs file, or start an empty queue.
+   * @param {string} [filePath]
+   */
+  static async load(filePath = DEFAULT_JOBS_FILE) {
+    if (!(await fs.pathExists(filePath))) {
+      return new JobQueue(filePath, { updated_at: null, jobs: [] });
+    }
+
+    const state = await fs.readJson(filePath);
+    state.jobs = state.jobs || [];
+    const interrupted = state.jobs.filter(job => job.status === JOB_STATUS.RUNNING);
+    for (const job of interrupted) {
+      job.status = JOB_STATUS.QUEUED;
+    }
+    if (interrupted.length > 0) {
+      logger.info(`${interrupted.length} interrupted jobs queued again`, { jobs_file: filePath });
+    }
+    return new JobQueue(filePath, state);
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.status] - One of JOB_STATUS
+   * @returns {object[]}
+   */
+  list({ status } = {}) {
+    return this.state.jobs.filter(job => !status || job.status === status);
+  }
+
+  get(id) {
+    return this.state.jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Add one job per URL.
+   * @param {string[]} urls
+   * @returns {Promise<object[]>} The new jobs, as queued
+   */
+  async enqueue(urls) {
+    const now = new Date().toISOString();
+    const jobs = urls.map(url => ({
+      id: randomUUID(),
+      url,
+      status: JOB_STATUS.QUEUED,
+      state: null,
+      error: null,
+      result: null,
+      attempts: 0,
+      created_at: now,
+      started_at: null,
+      finished_at: null
+    }));
+    this.state.jobs.push(...jobs);
+    await this.save();
+
+    // Idle workers pick the new jobs up
+    this.waiting.splice(0).forEach(resolve => resolve());
+    return jobs.map(job => ({ ...job }));
+  }
+
+  /**
+   * Process jobs until stop() is called, at most `concurrency` at a time.
+   * @param {(job: object) => Promise<object>} handler - Returns the job's result;
+   *   a thrown error fails the job (error.state is kept as its page state)
+   * @param {number} [concurrency]
+   * @returns {Promise<void>} Resolves once stopped and the jobs in flight are done
+   */
+  async run(handler, concurrency = 1) {
+    const worker = async () => {
+      while (!this.stopping) {
+        const job = this.list({ status: JOB_STATUS.QUEUED })[0];
+        if (!job) {
+          await new Promise(resolve => this.waiting.push(resolve));
+          continue;
+        }
+
+        // Claimed before the first await so no other worker takes it
+        job.status = JOB_STATUS.RUNNING;
+        await this.update(job, { started_at: new Date().toISOString(), attempts: job.attempts + 1 });
+        try {
+          const result = await handler(job);
+          await this.update(job, {
+            status: JOB_STATUS.DONE, state: 'ok', error: null, result, finished_at: new Date().toISOString()
+          });
+        } catch (error) {
+          await this.update(job, {
+            status: JOB_STATUS.FAILED, state: error.state ?? null, error: error.message,
+            finished_at: new Date().toISOString()
+          });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  }
+
+  /**
+   * Let the workers finish their current job, then stop.
+   */
+  stop() {
+    this.stopping = true;
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  async update(job, changes) {
+    Object.assign(job, changes);
+    await this.save();
+  }
+
+  /**
+   * Write the jobs file, after dropping the jobs deleted from it since the
+   * last write. Also called on a timer by serve, to pick deletions up.
+   */
+  async save() {
+    await this.writes.run(() => this.lock.run(async () => {
+      const onDisk = await fs.readJson(this.filePath).catch(error => {
+        if (error.code === 'ENOENT') return { jobs: [] };
+        throw error;
+      });
+      const present = new Set((onDisk.jobs || []).map(job => job.id));
+      const deleted = [...this.saved].filter(id => !present.has(id));
+      if (deleted.length > 0) {
+        const gone = new Set(deleted);
+        this.state.jobs = this.state.jobs.filter(job => !gone.has(job.id));
+        logger.info(`${deleted.length} jobs deleted from ${this.filePath} dropped from the queue`);
+      }
+
+      this.state.updated_at = new Date().toISOString();
+      // Atomic, so a crash mid-write keeps the old jobs
+      await writeJsonAtomic(this.filePath, this.state, { spaces: 2 });
+      this.saved = new Set(this.state.jobs.map(job => job.id));
+    }));
+  }
+
+  summary() {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const job of this.state.jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Logger shared by every command and module.
+ *
+ * Levels, most to least severe: error, warn, info, debug, trace. Messages
+ * below the configured level are dropped. The level defaults to info, or to
+ * debug when DEBUG is on.
+ *
+ * Two output formats, both written to stderr so stdout stays free for data
+ * (NDJSON exports, diffs):
+ *   text - "message key=value ...", with a "warn:" / "error:" / "[debug]" prefix
+ *   json - one JSON object per line:
+ *          {"time": "...", "level": "info", "run_id": "...", "message": "...", ...fields}
+ *
+ * Every line of one run carries the same run_id, so a log pipeline can group
+ * them. It is generated per run unless RUN_ID / --run-id sets one.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const TEXT_PREFIX = {
+  error: 'error: ',
+  warn: 'warn: ',
+  info: '',
+  debug: '[debug] ',
+  trace: '[trace] '
+};
+
+export class Logger {
+  /**
+   * @param {object} [settings] - Shared with every child logger
+   * @param {object} [fields] - Added to every line of this logger
+   */
+  constructor(settings = {}, fields = {}) {
+    this.settings = settings;
+    this.fields = fields;
+    if (!settings.level) this.configure();
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level] - One of LOG_LEVELS
+   * @param {string} [options.format] - One of LOG_FORMATS
+   * @param {string} [options.runId]
+   * @param {{write: Function}} [options.stream]
+   */
+  configure({ level = 'info', format = 'text', runId = randomUUID(), stream = process.stderr } = {}) {
+    Object.assign(this.settings, { level, format, runId, stream });
+  }
+
+  get runId() {
+    return this.settings.runId;
+  }
+
+  /**
+   * A logger that adds `fields` to every line.
+   * @param {object} fields
+   */
+  child(fields) {
+    return new Logger(this.settings, { ...this.fields, ...fields });
+  }
+
+  /**
+   * @param {string} level
+   * @returns {boolean} True if messages at this level are written
+   */
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.settings.level);
+  }
+
+  error(message, fields) { this.write('error', message, fields); }
+  warn(message, fields) { this.write('warn', message, fields); }
+  info(message, fields) { this.write('info', message, fields); }
+  debug(message, fields) { this.write('debug', message, fields); }
+  trace(message, fields) { this.write('trace', message, fields); }
+
+  write(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const all = { ...this.fields, ...fields };
+    for (const [key, value] of Object.entries(all)) {
+      if (value instanceof Error) all[key] = value.message;
+    }
+
+    let line;
+    if (this.settings.format === 'json') {
+      line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        run_id: this.settings.runId,
+        message,
+        ...all
+      });
+    } else {
+      const extras = Object.entries(all)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${textValue(value)}`);
+      line = [TEXT_PREFIX[level] + message, ...extras].join(' ');
+    }
+    this.settings.stream.write(line + '\n');
+  }
+}
+
+/**
+ * The process-wide logger. The CLI configures it from the resolved config.
+ */
+export const logger = new Logger();
+
+/**
+ * Logger options for a resolved configuration.
+ * @param {object} config
+ * @returns {{level: string, format: string, runId: string|undefined}}
+ */
+export function loggerOptions(config) {
+  return {
+    level: config.logLevel || (config.debug ? 'debug' : 'info'),
+    format: config.logFormat || 'text',
+    runId: config.runId || undefined
+  };
+}
+
+function textValue(value) {
+  if (typeof value === 'string') return /^$|\s|"/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
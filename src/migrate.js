@@ -0,0 +1,319 @@
+/**
+ * Migration of older data into the profile store.
+ *
+ * Reads, from the store itself or from other files:
+ *   - profile.json arrays written by earlier versions, back to the first
+ *     scrapper.js (no profileUrl, "followers_and_connections", sections as
+ *     lists of strings)
+ *   - scraper.js / rich-results output (public_user_data.json, schema v1
+ *     or v2), one result or an array of them
+ *   - JSON lines of either, such as exports/profiles.ndjson
+ *
+ * Every entry is turned into a current profile record:
+ *   followers_and_connections          -> followers, connections (+ _raw)
+ *   experience {role, company, ...}    -> {title, company, start, end, ...}
+ *   activity "text"                    -> {text}
+ *   public_user_data name, headline,
+ *     location, followers              -> the same fields
+ *   bio                                -> about
+ *   works_for[0] / alumni_of[0]        -> current_company / education_top (+ _url)
+ *   scraped_at                         -> first_seen, last_scraped
+ * Section entries that are plain strings cannot be split into fields and
+ * are dropped; fields the schema does not know are left out.
+ *
+ * Records are merged by canonical profile URL: the newer last_scraped wins
+ * and first_seen is the earlier of the two. Rich-results entries hold far
+ * fewer fields, so they only add profiles the store does not have yet.
+ * Entries without a profile URL cannot be merged or keyed, so they are
+ * skipped: left as they are in the store, not imported from other files.
+ *
+ * The store is rewritten in one go, under its lock, after its records as
+ * they were are written to <store>.<time>.bak: what migration drops (text-only
+ * section entries, fields the schema does not know) can be recovered there.
+ */
+
+import fs from 'fs-extra';
+import { canonicalProfileUrl } from './profile-url.js';
+import { PROFILE_FIELDS } from './profile-parser.js';
+import { parseFollowers, parseConnections } from './counts.js';
+import { parseDateRange, parseDurationText } from './dates.js';
+import { openProfileStore, profileFields, DEFAULT_STORE_FILE } from './store.js';
+import { writeJsonAtomic } from './storage.js';
+import { appendSnapshot, DEFAULT_HISTORY_FILE } from './history.js';
+import { validateProfile, PROFILE_SCHEMA_VERSION } from './schema.js';
+
+// Sections whose entries are objects; old records hold strings in them
+const OBJECT_LISTS = [
+  'experience', 'education', 'activity', 'certifications',
+  'projects', 'publications', 'honors', 'languages'
+];
+
+/**
+ * Turn one entry of any supported format into a current profile record.
+ * @param {object} entry
+ * @param {string} [now] - Timestamp for entries that carry none
+ * @returns {{kind: 'profile'|'public_user_data', record: object, profileUrl: string|null,
+ *   dropped: number, errors: string[]}} errors is empty when the record is valid
+ */
+export function migrateEntry(entry, now = new Date().toISOString()) {
+  const { kind, record, dropped } = entry?.public_user_data && typeof entry.public_user_data === 'object'
+    ? { kind: 'public_user_data', ...fromPublicUserData(entry, now) }
+    : { kind: 'profile', ...fromProfile(entry, now) };
+  const profileUrl = record.profileUrl ?? null;
+  const errors = profileUrl ? validateProfile(record) : ['no profile URL'];
+  return { kind, record, profileUrl, dropped, errors };
+}
+
+/**
+ * Read the entries of a file to migrate: a JSON array, a single JSON
+ * object, or one JSON object per line.
+ * @param {string} file
+ * @returns {Promise<object[]>}
+ */
+export async function readMigrationFile(file) {
+  const text = await fs.readFile(file, 'utf8');
+  try {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+  } catch (error) {
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length < 2) throw new Error(`${file}: ${error.message}`);
+    return lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`${file}, line ${i + 1}: ${lineError.message}`);
+      }
+    });
+  }
+}
+
+/**
+ * Upgrade the store in place (no files), or import files into it.
+ * @param {string[]} files - Files to import; none to migrate the store itself
+ * @param {object} [options]
+ * @param {string} [options.storeFile]
+ * @param {string} [options.historyFile] - Imported profiles are recorded as snapshots
+ * @param {boolean} [options.dryRun] - Report what would change, write nothing
+ * @returns {Promise<object>} Report: read, added, updated, duplicates,
+ *   upgraded, dropped_entries, skipped [{source, url, reason}], and backup
+ *   (the file the old records went to, or null if nothing was rewritten)
+ */
+export async function migrateProfiles(files, options = {}) {
+  const {
+    storeFile = DEFAULT_STORE_FILE,
+    historyFile = DEFAULT_HISTORY_FILE,
+    dryRun = false
+  } = options;
+
+  const imports = [];
+  for (const file of files) {
+    imports.push({ file, entries: await readMigrationFile(file) });
+  }
+
+  const report = {
+    read: 0, added: 0, updated: 0, duplicates: 0, upgraded: 0, dropped_entries: 0, skipped: [], backup: null
+  };
+  const snapshots = [];
+  const now = new Date().toISOString();
+
+  await openProfileStore(storeFile).rewrite(async stored => {
+    const inPlace = imports.length === 0;
+    const merger = new Merger(report, inPlace);
+    if (inPlace) {
+      stored.forEach(entry => merger.add(entry, storeFile, now));
+    } else {
+      stored.forEach(entry => merger.keep(entry));
+      for (const { file, entries } of imports) {
+        entries.forEach(entry => merger.add(entry, file, now));
+      }
+      snapshots.push(...merger.changed());
+    }
+    if (dryRun || !merger.changes()) return null;
+
+    report.backup = `${storeFile}.${now.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}.bak`;
+    await writeJsonAtomic(report.backup, stored, { spaces: 2 });
+    return merger.records();
+  });
+
+  if (!dryRun) {
+    for (const record of snapshots) {
+      await appendSnapshot(record.profileUrl, profileFields(record), record.last_scraped, historyFile);
+    }
+  }
+  return report;
+}
+
+// Collects records in store order, one per profile URL
+class Merger {
+  constructor(report, inPlace) {
+    this.report = report;
+    this.inPlace = inPlace;
+    this.slots = [];
+    this.byUrl = new Map();
+    this.touched = new Set();
+  }
+
+  // A stored record, taken as it is
+  keep(entry) {
+    const profileUrl = entry?.profileUrl ? canonicalProfileUrl(entry.profileUrl) : null;
+    if (profileUrl && !this.byUrl.has(profileUrl)) {
+      this.byUrl.set(profileUrl, entry);
+      this.slots.push(profileUrl);
+    } else {
+      this.slots.push({ entry });
+    }
+  }
+
+  add(entry, source, now) {
+    const report = this.report;
+    report.read++;
+    const migrated = migrateEntry(entry, now);
+    const { kind, profileUrl, dropped, errors } = migrated;
+    // Records that are already current stay exactly as they are
+    const current = this.inPlace && errors.length === 0 && entry.profileUrl === profileUrl &&
+      validateProfile(entry).length === 0;
+    const record = current ? entry : migrated.record;
+
+    if (errors.length > 0) {
+      if (!this.inPlace) {
+        report.skipped.push({ source, url: profileUrl, reason: errors.join('; ') });
+      } else {
+        report.skipped.push({ source, url: profileUrl, reason: `left as is: ${errors.join('; ')}` });
+        this.slots.push({ entry });
+      }
+      return;
+    }
+    report.dropped_entries += dropped;
+
+    const existing = this.byUrl.get(profileUrl);
+    if (!existing) {
+      this.byUrl.set(profileUrl, record);
+      this.slots.push(profileUrl);
+      this.touched.add(profileUrl);
+      if (this.inPlace) {
+        if (!current) report.upgraded++;
+      } else {
+        report.added++;
+      }
+      return;
+    }
+
+    if (kind === 'public_user_data') {
+      report.skipped.push({ source, url: profileUrl, reason: 'already stored' });
+      return;
+    }
+    const newer = (record.last_scraped || '') > (existing.last_scraped || '') ? record : existing;
+    const firstSeen = [record.first_seen, existing.first_seen].filter(Boolean).sort()[0];
+    this.byUrl.set(profileUrl, { ...newer, first_seen: firstSeen ?? newer.first_seen });
+    if (this.inPlace) {
+      report.duplicates++;
+    } else if (newer === record) {
+      report.updated++;
+      this.touched.add(profileUrl);
+    }
+  }
+
+  records() {
+    return this.slots.map(slot => (typeof slot === 'string' ? this.byUrl.get(slot) : slot.entry));
+  }
+
+  // Whether records() differs from the store as read
+  changes() {
+    const report = this.report;
+    return report.added + report.updated + report.duplicates + report.upgraded > 0;
+  }
+
+  // Records an import added or replaced
+  changed() {
+    return [...this.touched].map(profileUrl => this.byUrl.get(profileUrl));
+  }
+}
+
+function fromProfile(entry, now) {
+  const source = entry && typeof entry === 'object' ? entry : {};
+  const url = [source.profileUrl, source.profile_url, source.url, source.input_url]
+    .map(value => (value ? canonicalProfileUrl(value) : null))
+    .find(Boolean) || null;
+
+  const record = { schema_version: PROFILE_SCHEMA_VERSION, profileUrl: url };
+  for (const field of PROFILE_FIELDS) {
+    if (source[field] !== undefined) record[field] = source[field];
+  }
+
+  // The first scrapper.js kept both counts in one list of strings
+  if (Array.isArray(source.followers_and_connections)) {
+    const texts = source.followers_and_connections;
+    const followers = texts.find(text => parseFollowers(text) !== null) ?? null;
+    const connections = texts.find(text => parseConnections(text) !== null) ?? null;
+    record.followers ??= parseFollowers(followers);
+    record.followers_raw ??= followers;
+    record.connections ??= parseConnections(connections);
+    record.connections_raw ??= connections;
+  }
+
+  let dropped = 0;
+  for (const field of OBJECT_LISTS) {
+    if (!Array.isArray(record[field])) continue;
+    record[field] = record[field].flatMap(item => {
+      if (typeof item === 'string') {
+        if (field === 'activity') return [{ text: item }];
+        dropped++;
+        return [];
+      }
+      if (field === 'experience' && item && 'role' in item && !('title' in item)) {
+        return [oldExperience(item)];
+      }
+      return [item];
+    });
+  }
+
+  const scrapedAt = source.last_scraped || source.scraped_at || source.first_seen;
+  record.first_seen = source.first_seen || scrapedAt || now;
+  record.last_scraped = scrapedAt || now;
+  return { record, dropped };
+}
+
+// {role, company, duration: "Jan 2020 - Present", total_time: "1 year 2 months"}
+function oldExperience(item) {
+  const { start, end, is_current } = parseDateRange(item.duration || '');
+  return {
+    title: item.role || null,
+    company: item.company || null,
+    start,
+    end,
+    is_current,
+    duration_months: parseDurationText(item.total_time)
+  };
+}
+
+function fromPublicUserData(result, now) {
+  const data = result.public_user_data;
+  const profileUrl = [result.input_url, ...list(data.same_as), ...list(data.social_links)]
+    .map(value => (typeof value === 'string' ? canonicalProfileUrl(value) : null))
+    .find(Boolean) || null;
+  const company = list(data.works_for)[0];
+  const school = list(data.alumni_of)[0];
+  const scrapedAt = result.scraped_at || now;
+
+  const record = {
+    schema_version: PROFILE_SCHEMA_VERSION,
+    profileUrl,
+    name: data.name || null,
+    headline: data.headline || null,
+    location: data.location || null,
+    followers: Number.isInteger(data.followers) ? data.followers : null,
+    about: data.bio || null,
+    current_company: company?.name || null,
+    current_company_url: company?.url || null,
+    education_top: school?.name || null,
+    education_top_url: school?.url || null,
+    first_seen: scrapedAt,
+    last_scraped: scrapedAt
+  };
+  return { record, dropped: 0 };
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
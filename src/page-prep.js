@@ -0,0 +1,173 @@
+/**
+ * Page preparation for the browser source: what a visitor would do before
+ * reading a public profile, run between page load and extraction.
+ *
+ *   dismiss_modal  close the sign-in overlay logged-out visitors get
+ *   scroll         scroll to the bottom in viewport steps so lazy sections load
+ *   expand         click the "see more" / "show more" toggles that open in
+ *                  place (About text, descriptions, longer lists)
+ *   settle         wait for the network to go quiet and the DOM to stop changing
+ *
+ * Only in-page buttons are clicked; links to the /details/ pages need a
+ * login and are left alone. No step can fail the scrape: each one is
+ * recorded, with what it did or why it failed, and the next one runs.
+ */
+
+import { logger } from './logger.js';
+
+export const PREP_STEPS = ['dismiss_modal', 'scroll', 'expand', 'settle'];
+
+// Open sign-in overlays, and the close buttons inside them
+const MODAL_OPEN_SELECTOR = '.modal__overlay--visible';
+const MODAL_DISMISS_SELECTOR = [
+  'button.modal__dismiss',
+  'button.contextual-sign-in-modal__modal-dismiss',
+  'button[data-tracking-control-name*="modal_dismiss"]',
+  'button[aria-label="Dismiss"]'
+].join(', ');
+
+// Toggles that expand content in place
+const EXPAND_SELECTOR = [
+  'button.show-more-less-text__button--more',
+  'button.show-more-less-html__button--more',
+  'button.show-more-less-button[aria-expanded="false"]',
+  'button[data-tracking-control-name$="_see-more"]'
+].join(', ');
+
+// Plain buttons labelled like a toggle, for markup the selectors miss
+const EXPAND_LABEL = /^(…\s*)?(see|show) (more|all)\b/i;
+
+const MAX_SCROLL_STEPS = 30;
+const SCROLL_PAUSE = 250;
+const MAX_EXPAND_ROUNDS = 5;
+
+/**
+ * Run the preparation steps on a loaded page.
+ * @param {import('patchright').Page} page
+ * @param {object} [options]
+ * @param {number} [options.settleTimeout] - Longest wait for the page to settle (ms)
+ * @returns {Promise<Array<{step: string, ok: boolean, duration_ms: number, error?: string}>>}
+ *   One entry per step, with step-specific counts (clicked, scrolls, height, ...)
+ */
+export async function preparePage(page, { settleTimeout = 5000 } = {}) {
+  const steps = [];
+  const run = async (step, action) => {
+    const started = Date.now();
+    let entry;
+    try {
+      entry = { step, ok: true, ...(await action()) };
+    } catch (error) {
+      entry = { step, ok: false, error: error.message.split('\n')[0] };
+    }
+    entry.duration_ms = Date.now() - started;
+    steps.push(entry);
+    logger.debug(`Page preparation: ${step}`, entry);
+  };
+
+  await run('dismiss_modal', () => dismissModal(page));
+  await run('scroll', () => scrollThrough(page));
+  await run('expand', () => expandToggles(page));
+  await run('settle', () => settle(page, settleTimeout));
+  return steps;
+}
+
+async function dismissModal(page) {
+  const result = await page.evaluate(({ dismissSelector, openSelector }) => {
+    let clicked = 0;
+    let hidden = 0;
+    for (const overlay of document.querySelectorAll(openSelector)) {
+      const button = overlay.querySelector(dismissSelector);
+      if (button) {
+        button.click();
+        clicked++;
+      }
+      // Overlays the button did not close are hidden
+      if (overlay.matches(openSelector)) {
+        overlay.style.display = 'none';
+        hidden++;
+      }
+    }
+    // The modal locks scrolling while it is open
+    document.body.style.overflow = '';
+    document.documentElement.style.overflow = '';
+    return { clicked, hidden };
+  }, { dismissSelector: MODAL_DISMISS_SELECTOR, openSelector: MODAL_OPEN_SELECTOR });
+  if (result.clicked + result.hidden > 0) await page.keyboard.press('Escape').catch(() => {});
+  return result;
+}
+
+async function scrollThrough(page) {
+  let scrolls = 0;
+  let height = 0;
+  let complete = false;
+  while (!complete && scrolls < MAX_SCROLL_STEPS) {
+    scrolls++;
+    const position = await page.evaluate(() => {
+      window.scrollBy(0, window.innerHeight);
+      return {
+        bottom: window.scrollY + window.innerHeight,
+        height: document.documentElement.scrollHeight
+      };
+    });
+    height = position.height;
+    await page.waitForTimeout(SCROLL_PAUSE);
+    // Lazy sections grow the page, so the bottom is only final once it stays put
+    if (position.bottom >= position.height) {
+      const grown = await page.evaluate(() => document.documentElement.scrollHeight);
+      complete = grown <= position.height;
+    }
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+  return { scrolls, height, complete };
+}
+
+async function expandToggles(page) {
+  let clicked = 0;
+  let rounds = 0;
+  // Expanding a list can reveal further toggles, so repeat until none are left
+  while (rounds < MAX_EXPAND_ROUNDS) {
+    rounds++;
+    const count = await page.evaluate(({ selector, label }) => {
+      const pattern = new RegExp(label.source, label.flags);
+      // Remembered outside the DOM so the saved HTML is not marked up
+      const done = window.__prepExpanded = window.__prepExpanded || new WeakSet();
+      const toggles = new Set(document.querySelectorAll(selector));
+      for (const button of document.querySelectorAll('button')) {
+        if (pattern.test(button.textContent.trim())) toggles.add(button);
+      }
+      let n = 0;
+      for (const toggle of toggles) {
+        if (toggle.disabled || toggle.getAttribute('aria-expanded') === 'true') continue;
+        if (done.has(toggle)) continue;
+        done.add(toggle);
+        toggle.click();
+        n++;
+      }
+      return n;
+    }, { selector: EXPAND_SELECTOR, label: { source: EXPAND_LABEL.source, flags: EXPAND_LABEL.flags } });
+    if (count === 0) break;
+    clicked += count;
+    await page.waitForTimeout(SCROLL_PAUSE);
+  }
+
+  // A toggle can bring the sign-in modal back
+  const modal = await dismissModal(page);
+  return { clicked, rounds, modal_dismissed: modal.clicked + modal.hidden };
+}
+
+async function settle(page, settleTimeout) {
+  const deadline = Date.now() + settleTimeout;
+  const networkIdle = await page.waitForLoadState('networkidle', { timeout: settleTimeout })
+    .then(() => true, () => false);
+
+  // Then wait until the DOM size stops changing for a few polls in a row
+  let last = -1;
+  let stablePolls = 0;
+  while (Date.now() < deadline && stablePolls < 3) {
+    const size = await page.evaluate(() => document.body.innerHTML.length);
+    stablePolls = size === last ? stablePolls + 1 : 0;
+    last = size;
+    if (stablePolls < 3) await page.waitForTimeout(200);
+  }
+  return { network_idle: networkIdle, dom_stable: stablePolls >= 3 };
+}
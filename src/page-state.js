@@ -0,0 +1,126 @@
+/**
+ * Page-state classification: every fetched page ends up in exactly one state.
+ *
+ *   ok             - a profile page that parsed into a record
+ *   not_found      - 404 / "profile not available"
+ *   auth_required  - LinkedIn wants a sign-in (auth wall, login, checkpoint)
+ *   rate_limited   - HTTP 429 / 999 / 5xx, or LinkedIn's "too many requests" page
+ *   timeout        - the page did not load in time
+ *   parse_error    - the page loaded but no profile could be read from it
+ *
+ * rate_limited and timeout are transient and worth retrying; the others are
+ * final answers for this run.
+ */
+
+import { ScraperError } from './errors.js';
+import { withDocument } from './dom.js';
+
+export const PAGE_STATES = Object.freeze({
+  OK: 'ok',
+  NOT_FOUND: 'not_found',
+  AUTH_REQUIRED: 'auth_required',
+  RATE_LIMITED: 'rate_limited',
+  TIMEOUT: 'timeout',
+  PARSE_ERROR: 'parse_error'
+});
+
+const TRANSIENT_STATES = [PAGE_STATES.RATE_LIMITED, PAGE_STATES.TIMEOUT];
+
+// Where LinkedIn sends logged-out visitors it will not show a profile to
+const AUTH_WALL_PATTERN = /\/(authwall|login|signup|checkpoint|uas\/login)/i;
+const NOT_FOUND_PATTERN = /^\/(404|in\/unavailable)\/?$/i;
+
+// Text of LinkedIn's error pages (checked on the page title and headings)
+const NOT_FOUND_TEXT = /page not found|this page doesn[’']t exist|profile (?:is )?not available|this profile is unavailable/i;
+const RATE_LIMITED_TEXT = /too many requests|unusual activity|you[’']ve reached the limit/i;
+const AUTH_TEXT = /sign in to view|join linkedin to see|authwall/i;
+
+/**
+ * Thrown for any page that is not "ok". The message starts with the state.
+ */
+export class PageStateError extends ScraperError {
+  /**
+   * @param {string} state - One of PAGE_STATES
+   * @param {string} url - Page that was requested
+   * @param {string} detail
+   */
+  constructor(state, url, detail) {
+    super(`${state}: ${detail}`);
+    this.name = 'PageStateError';
+    this.state = state;
+    this.url = url;
+  }
+
+  /** True when trying again later may give a different answer */
+  get transient() {
+    return isTransient(this.state);
+  }
+}
+
+/**
+ * @param {string} state
+ * @returns {boolean}
+ */
+export function isTransient(state) {
+  return TRANSIENT_STATES.includes(state);
+}
+
+/**
+ * Classify a fetched page before parsing.
+ * @param {{html: string, url: string, status?: number|null}} page
+ * @returns {{state: string, detail: string}}
+ */
+export function classifyPage({ html, url, status = null }) {
+  const pathname = /^https?:/i.test(url) ? new URL(url).pathname : '';
+  const heading = headline(html);
+
+  if (status === 429 || status === 999) {
+    return { state: PAGE_STATES.RATE_LIMITED, detail: `HTTP ${status}` };
+  }
+  if (AUTH_WALL_PATTERN.test(pathname)) {
+    return { state: PAGE_STATES.AUTH_REQUIRED, detail: `redirected to ${url}` };
+  }
+  if (status === 401 || status === 403) {
+    return { state: PAGE_STATES.AUTH_REQUIRED, detail: `HTTP ${status}` };
+  }
+  if (status === 404 || status === 410 || NOT_FOUND_PATTERN.test(pathname)) {
+    return { state: PAGE_STATES.NOT_FOUND, detail: status ? `HTTP ${status}` : `redirected to ${url}` };
+  }
+  if (status !== null && status >= 400) {
+    // Server errors are usually LinkedIn shedding load; other client errors
+    // leave nothing usable on the page
+    const state = status >= 500 ? PAGE_STATES.RATE_LIMITED : PAGE_STATES.NOT_FOUND;
+    return { state, detail: `HTTP ${status}` };
+  }
+  if (RATE_LIMITED_TEXT.test(heading)) {
+    return { state: PAGE_STATES.RATE_LIMITED, detail: `page says "${heading}"` };
+  }
+  if (NOT_FOUND_TEXT.test(heading)) {
+    return { state: PAGE_STATES.NOT_FOUND, detail: `page says "${heading}"` };
+  }
+  if (AUTH_TEXT.test(heading)) {
+    return { state: PAGE_STATES.AUTH_REQUIRED, detail: `page says "${heading}"` };
+  }
+  return { state: PAGE_STATES.OK, detail: '' };
+}
+
+/**
+ * Classify an error thrown while fetching. Timeouts from patchright and from
+ * fetch() (AbortSignal.timeout) both carry the name "TimeoutError".
+ * @param {Error} error
+ * @returns {string|null} A page state, or null for errors that are not page states
+ */
+export function classifyError(error) {
+  if (error instanceof PageStateError) return error.state;
+  if (error?.name === 'TimeoutError') return PAGE_STATES.TIMEOUT;
+  return null;
+}
+
+// <title> plus the first <h1>, enough to recognise LinkedIn's error pages
+function headline(html) {
+  return withDocument(html, document => {
+    const title = document.querySelector('title')?.textContent || '';
+    const h1 = document.querySelector('h1')?.textContent || '';
+    return `${title} ${h1}`.replace(/\s+/g, ' ').trim();
+  });
+}
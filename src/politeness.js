@@ -0,0 +1,177 @@
+/**
+ * Politeness controls applied to every network fetch:
+ *
+ *   - per-host rate limit: at least requestInterval ms (plus up to jitter ms
+ *     of random extra) between two requests to the same host, or the host's
+ *     robots.txt Crawl-delay if that is longer
+ *   - a cap on how many pages are open at once (concurrency)
+ *   - optional robots.txt check (respectRobots)
+ *   - Retry-After: a host that answers 429 / 503 with Retry-After gets no
+ *     further requests until that time has passed
+ *
+ * PoliteSource wraps any page source (see sources.js) with these rules.
+ */
+
+import { RobotsCache } from './robots.js';
+import { logger } from './logger.js';
+
+/**
+ * Runs at most `size` tasks at a time.
+ */
+export class Limiter {
+  constructor(size = 1) {
+    this.size = Math.max(1, size);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   * @template T
+   */
+  async run(task) {
+    if (this.active >= this.size) {
+      // The finishing task hands its slot over, still counted as active
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+/**
+ * Hands out request slots per host, spaced interval + random jitter apart.
+ */
+export class HostRateLimiter {
+  constructor({ interval = 2000, jitter = 1000 } = {}) {
+    this.interval = interval;
+    this.jitter = jitter;
+    this.nextSlot = new Map();
+    this.blockedUntil = new Map();
+  }
+
+  /**
+   * Wait for this host's next free slot.
+   * @param {string} url
+   * @param {number} [minInterval] - e.g. robots.txt Crawl-delay (ms)
+   */
+  async wait(url, minInterval = 0) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) ?? 0);
+
+    const gap = Math.max(this.interval, minInterval) + Math.random() * this.jitter;
+    this.nextSlot.set(host, slot + gap);
+
+    if (slot > now) await sleep(slot - now);
+
+    // A Retry-After that arrived while waiting holds this request back too
+    let blocked;
+    while ((blocked = this.blockedUntil.get(host) ?? 0) > Date.now()) {
+      await sleep(blocked - Date.now());
+    }
+  }
+
+  /**
+   * Hold back every request to the host for a while (Retry-After).
+   * @param {string} url
+   * @param {number} delay - ms
+   */
+  defer(url, delay) {
+    const host = new URL(url).host;
+    const until = Date.now() + delay;
+    this.blockedUntil.set(host, Math.max(this.blockedUntil.get(host) ?? 0, until));
+    this.nextSlot.set(host, Math.max(this.nextSlot.get(host) ?? 0, until));
+  }
+}
+
+/**
+ * Wraps a page source so every network fetch is rate limited, capped in
+ * concurrency and, with respectRobots, checked against robots.txt. Local
+ * files pass straight through.
+ */
+export class PoliteSource {
+  /**
+   * @param {object} source - Page source to wrap
+   * @param {object} [config]
+   * @param {number} [config.requestInterval] - Minimum ms between requests to one host
+   * @param {number} [config.jitter] - Up to this many extra ms, at random
+   * @param {number} [config.concurrency] - Pages open at once
+   * @param {boolean} [config.respectRobots] - Skip URLs robots.txt disallows
+   * @param {number} [config.timeout] - robots.txt fetch timeout (ms)
+   */
+  constructor(source, config = {}) {
+    this.source = source;
+    this.name = source.name;
+    this.config = config;
+    this.rate = new HostRateLimiter({ interval: config.requestInterval, jitter: config.jitter });
+    this.pages = new Limiter(config.concurrency);
+    this.robots = config.respectRobots ? new RobotsCache({ timeout: config.timeout }) : null;
+  }
+
+  get browser() {
+    return this.source.browser;
+  }
+
+  /**
+   * @param {string} target
+   * @throws {RobotsDisallowedError} When robots.txt disallows the URL
+   */
+  async fetchPage(target) {
+    if (!/^https?:/i.test(target)) {
+      return this.source.fetchPage(target);
+    }
+
+    let crawlDelay = 0;
+    if (this.robots) {
+      await this.robots.check(target);
+      crawlDelay = (await this.robots.crawlDelay(target)) ?? 0;
+    }
+
+    return this.pages.run(async () => {
+      await this.rate.wait(target, crawlDelay);
+      logger.trace('Fetching', { url: target, source: this.name });
+      const page = await this.source.fetchPage(target);
+      if (page.retryAfter) {
+        logger.debug('Retry-After received', { host: new URL(target).host, delay_ms: page.retryAfter });
+        this.rate.defer(target, page.retryAfter);
+      }
+      return page;
+    });
+  }
+
+  async close() {
+    await this.source.close();
+  }
+}
+
+/**
+ * Parse a Retry-After header: delay in seconds, or an HTTP date.
+ * @param {string|null|undefined} value
+ * @param {number} [now]
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
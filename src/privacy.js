@@ -0,0 +1,208 @@
+/**
+ * Privacy and retention controls.
+ *
+ *   - field allow / deny lists: profile fields outside the allow-list, or on
+ *     the deny-list, are dropped before a record reaches the store or history
+ *   - retention: profiles not scraped for retentionDays days, and snapshots
+ *     and finished serve jobs older than that, are deleted at the start of
+ *     every scrape, batch and export run, and hourly while serve runs
+ *   - forget: every trace of one person is deleted from the store, search
+ *     index, history, failures log, serve's jobs file, debug artifacts,
+ *     exports and the dir sink's output
+ *
+ * Every deletion is appended to the audit log, one line per profile:
+ *
+ *   {"at": "...", "run_id": "...", "action": "forget", "profileUrl": "...",
+ *    "reason": "...", "removed": {"store": 1, "history": 3, ...}}
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { PROFILE_FIELDS } from './profile-parser.js';
+import { canonicalProfileUrl, profileSlug } from './profile-url.js';
+import { removeProfiles, DEFAULT_STORE_FILE } from './store.js';
+import { removeSnapshots, DEFAULT_HISTORY_FILE } from './history.js';
+import { removeFailures, DEFAULT_FAILURES_FILE } from './failures.js';
+import { removeJobs, JOB_STATUS, DEFAULT_JOBS_FILE } from './jobs.js';
+import { ArtifactStore } from './artifacts.js';
+import { removeFromExports } from './exporters.js';
+import { defaultIndexFile } from './search.js';
+import { ConfigError } from './config.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_AUDIT_FILE = 'privacy_audit.jsonl';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_JOB_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED];
+
+/**
+ * The field filter a configuration asks for.
+ * @param {object} config
+ * @param {string[]|null} config.fieldAllow
+ * @param {string[]|null} config.fieldDeny
+ * @returns {{allow: string[]|null, deny: string[]}}
+ * @throws {ConfigError} For names that are not profile fields
+ */
+export function fieldFilter(config) {
+  const allow = config.fieldAllow?.length ? config.fieldAllow : null;
+  const deny = config.fieldDeny || [];
+
+  const unknown = [...(allow || []), ...deny].filter(field => !PROFILE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `Unknown profile field(s) in the field allow / deny list: ${unknown.join(', ')}`
+    );
+  }
+  return { allow, deny };
+}
+
+/**
+ * Drop the fields a filter does not let through.
+ * @param {object} data - Parsed profile fields
+ * @param {{allow: string[]|null, deny: string[]}} filter
+ * @returns {object}
+ */
+export function redactFields(data, { allow, deny }) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([field]) => (!allow || allow.includes(field)) && !deny.includes(field))
+  );
+}
+
+/**
+ * Append a deletion to the audit log.
+ * @param {object} entry
+ * @param {string} entry.action - forget / expire
+ * @param {string} entry.profileUrl
+ * @param {string} [entry.reason]
+ * @param {object} entry.removed - What was deleted, per location
+ * @param {string} [filePath]
+ */
+export async function appendAudit({ action, profileUrl, reason = null, removed }, filePath = DEFAULT_AUDIT_FILE) {
+  const line = JSON.stringify({
+    at: new Date().toISOString(), run_id: logger.runId, action, profileUrl, reason, removed
+  });
+  await fs.appendFile(filePath, line + '\n', 'utf8');
+}
+
+/**
+ * Delete stored profiles, snapshots and finished jobs older than the
+ * retention period.
+ * @param {object} options
+ * @param {number} options.retentionDays - 0 keeps everything
+ * @param {string} [options.storeFile]
+ * @param {string} [options.historyFile]
+ * @param {string} [options.jobsFile]
+ * @param {string} [options.auditFile]
+ * @param {number} [options.now]
+ * @returns {Promise<string[]>} Profile URLs that lost a record or snapshot
+ */
+export async function expireProfiles({
+  retentionDays,
+  storeFile = DEFAULT_STORE_FILE,
+  historyFile = DEFAULT_HISTORY_FILE,
+  jobsFile = DEFAULT_JOBS_FILE,
+  auditFile = DEFAULT_AUDIT_FILE,
+  now = Date.now()
+}) {
+  if (!retentionDays) return [];
+
+  const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+  // Entries from before last_scraped may carry scraped_at, or no time at
+  // all; those cannot be shown to be within the period, so they go too
+  const records = await removeProfiles(
+    entry => (entry?.last_scraped || entry?.scraped_at || entry?.first_seen || '') < cutoff,
+    storeFile
+  );
+  const snapshots = await removeSnapshots(snapshot => snapshot.scraped_at < cutoff, historyFile);
+  // Queued and running jobs stay until they are done
+  const jobs = await removeJobs(
+    job => FINISHED_JOB_STATUSES.includes(job.status) && (job.finished_at || job.created_at || '') < cutoff,
+    jobsFile
+  );
+  if (records.length > 0) await fs.remove(defaultIndexFile(storeFile));
+
+  const removed = new Map();
+  const count = (profileUrl, location) => {
+    const key = canonicalProfileUrl(profileUrl) || profileUrl || null;
+    if (!removed.has(key)) removed.set(key, { store: 0, history: 0, jobs: 0 });
+    removed.get(key)[location]++;
+  };
+  records.forEach(record => count(record.profileUrl, 'store'));
+  snapshots.forEach(snapshot => count(snapshot.profileUrl, 'history'));
+  jobs.forEach(job => count(job.result?.profileUrl || job.url, 'jobs'));
+
+  const reason = `older than the ${retentionDays} day retention period`;
+  for (const [profileUrl, counts] of removed) {
+    await appendAudit({ action: 'expire', profileUrl, reason, removed: counts }, auditFile);
+  }
+  if (removed.size > 0) {
+    logger.info('Expired old profile data', {
+      profiles: records.length, snapshots: snapshots.length, jobs: jobs.length, retention_days: retentionDays
+    });
+  }
+  return [...removed.keys()];
+}
+
+/**
+ * Delete every trace of one person.
+ * @param {string} url - Any form of the profile URL
+ * @param {object} [options]
+ * @param {string} [options.storeFile]
+ * @param {string} [options.historyFile]
+ * @param {string} [options.failuresFile]
+ * @param {string} [options.jobsFile] - serve's jobs file; jobs hold the URL and result
+ * @param {object} [options.artifacts] - Config for ArtifactStore (artifactsDir)
+ * @param {string[]} [options.exportDirs] - Directories holding exports
+ * @param {string} [options.outputDir] - Directory of the dir output sink
+ * @param {string} [options.auditFile]
+ * @param {string} [options.reason] - e.g. the data-subject request it answers
+ * @returns {Promise<{profileUrl: string, removed: object}>} What was deleted, per location
+ */
+export async function forgetProfile(url, options = {}) {
+  const {
+    storeFile = DEFAULT_STORE_FILE,
+    historyFile = DEFAULT_HISTORY_FILE,
+    failuresFile = DEFAULT_FAILURES_FILE,
+    jobsFile = DEFAULT_JOBS_FILE,
+    artifacts = {},
+    exportDirs = [],
+    outputDir = null,
+    auditFile = DEFAULT_AUDIT_FILE,
+    reason = null
+  } = options;
+
+  const profileUrl = canonicalProfileUrl(url);
+  if (!profileUrl) {
+    throw new Error(`Not a LinkedIn profile URL: ${url}`);
+  }
+  const matches = other => Boolean(other) && canonicalProfileUrl(other) === profileUrl;
+
+  const removed = {
+    store: (await removeProfiles(entry => matches(entry?.profileUrl), storeFile)).length,
+    history: (await removeSnapshots(snapshot => matches(snapshot.profileUrl), historyFile)).length,
+    failures: await removeFailures(failure => matches(failure.url), failuresFile),
+    jobs: (await removeJobs(job => matches(job.url) || matches(job.result?.profileUrl), jobsFile)).length,
+    artifacts: (await new ArtifactStore(artifacts, logger.runId).forget(profileUrl)).length,
+    exports: 0,
+    output_dir: 0
+  };
+  // The search index holds a summary of every stored profile
+  await fs.remove(defaultIndexFile(storeFile));
+  for (const dir of exportDirs) {
+    const rows = await removeFromExports(dir, profileSlug(profileUrl));
+    for (const [file, count] of Object.entries(rows)) {
+      if (count > 0) logger.debug('Rows removed from export', { file: path.normalize(file), rows: count });
+      removed.exports += count;
+    }
+  }
+
+  // The dir sink keeps one file per profile (see sinks.js)
+  const outputFile = outputDir ? path.join(outputDir, `${profileSlug(profileUrl)}.json`) : null;
+  if (outputFile && await fs.pathExists(outputFile)) {
+    await fs.remove(outputFile);
+    removed.output_dir = 1;
+  }
+
+  await appendAudit({ action: 'forget', profileUrl, reason, removed }, auditFile);
+  return { profileUrl, removed };
+}
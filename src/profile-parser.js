@@ -0,0 +1,115 @@
+/**
+ * LinkedIn public profile parser
+ *
+ * All field extraction for a public profile page lives here so the same
+ * logic can run against a live page (via page.content()) or against a
+ * saved HTML document on disk.
+ *
+ * Usage:
+ *   import { parseProfileHtml } from './src/profile-parser.js';
+ *   const profile = parseProfileHtml(fs.readFileSync('saved.html', 'utf8'));
+ */
+
+import { innerText, cleanLine, withDocument } from './dom.js';
+import { parseFollowers, parseConnections, isCountText } from './counts.js';
+import { parseExperience } from './experience-parser.js';
+import {
+  parseEducation, parseCertifications, parseProjects, parseLanguages,
+  parsePublications, parseHonors, parseSkills
+} from './section-parsers.js';
+import { parseActivity } from './activity-parser.js';
+
+// Fields returned by extractProfile(), in output order
+export const PROFILE_FIELDS = Object.freeze([
+  'name', 'headline', 'location', 'followers', 'followers_raw', 'connections',
+  'connections_raw', 'about',
+  'current_company', 'current_company_url', 'education_top', 'education_top_url',
+  'experience', 'education', 'skills', 'activity', 'certifications',
+  'projects', 'publications', 'honors', 'languages'
+]);
+
+/**
+ * Parse a saved public profile HTML document.
+ * @param {string} html - Full page HTML
+ * @returns {object} Profile record
+ */
+export function parseProfileHtml(html) {
+  return withDocument(html, extractProfile);
+}
+
+/**
+ * Extract a profile from any DOM document (jsdom or a real browser).
+ * @param {Document} document
+ * @returns {object} Profile record
+ */
+export function extractProfile(document) {
+  const text = (sel) =>
+    innerText(document.querySelector(sel)).trim() || null;
+
+  const counts = parseTopCardCounts(document);
+  const company = topCardLink(document, 'currentPositionsDetails');
+  const school = topCardLink(document, 'educationsDetails');
+
+  return {
+    // BASIC
+    name: text('h1.top-card-layout__title'),
+    headline: text('h2.top-card-layout__headline'),
+    location: parseLocation(document),
+    followers: parseFollowers(counts.followers),
+    followers_raw: counts.followers,
+    connections: parseConnections(counts.connections),
+    connections_raw: counts.connections,
+    about: text('.core-section-container__content p'),
+
+    // TOP CARD RIGHT
+    current_company: company.name,
+    current_company_url: company.url,
+    education_top: school.name,
+    education_top_url: school.url,
+
+    // DEEP SECTIONS (may or may not exist)
+    experience: parseExperience(document),
+    education: parseEducation(document),
+    skills: parseSkills(document),
+    activity: parseActivity(document),
+    certifications: parseCertifications(document),
+    projects: parseProjects(document),
+    publications: parsePublications(document),
+    honors: parseHonors(document),
+    languages: parseLanguages(document)
+  };
+}
+
+// The subheader under the headline mixes location, follower and connection
+// counts in middot-separated spans; only the counts are picked out here.
+function parseTopCardCounts(document) {
+  const scope = document.querySelector('.top-card-layout') || document;
+  const spans = [...scope.querySelectorAll('span')]
+    .map(el => cleanLine(innerText(el)))
+    .filter(Boolean);
+
+  return {
+    followers: spans.find(t => parseFollowers(t) !== null) || null,
+    connections: spans.find(t => parseConnections(t) !== null) || null
+  };
+}
+
+function parseLocation(document) {
+  const spans = [...document.querySelectorAll('.profile-info-subheader span')]
+    .map(el => cleanLine(innerText(el)))
+    .filter(Boolean);
+  return spans.find(t => !isCountText(t)) || null;
+}
+
+// Company / school shown on the right of the top card
+function topCardLink(document, dataSection) {
+  // The deep section of the same name is a <section>; the top card entry is not
+  const container = document.querySelector(`:not(section)[data-section="${dataSection}"]`);
+  if (!container) return { name: null, url: null };
+
+  const link = container.matches('a[href]') ? container : container.querySelector('a[href]');
+  return {
+    name: cleanLine(innerText(container.querySelector('span') || container)),
+    url: link ? link.href : null
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Profile URL canonicalisation.
+ *
+ * The same person can be reached through many URLs:
+ *   https://uk.linkedin.com/in/Jane-Doe-123/?originalSubdomain=uk
+ *   http://linkedin.com/in/jane-doe-123
+ *   https://www.linkedin.com/in/jane-doe-123/
+ * All of them canonicalise to https://www.linkedin.com/in/jane-doe-123, which
+ * is the key used to match stored records.
+ */
+
+const LINKEDIN_HOST = /^([a-z0-9-]+\.)?linkedin\.com$/i;
+
+/**
+ * Canonical form of a public profile URL: https, www host (no locale
+ * subdomain), lowercase slug, no query string, fragment or trailing slash.
+ * @param {string} url
+ * @returns {string|null} Canonical URL, or null if it is not a profile URL
+ */
+export function canonicalProfileUrl(url) {
+  const slug = profileSlug(url);
+  return slug ? `https://www.linkedin.com/in/${encodeURIComponent(slug)}` : null;
+}
+
+/**
+ * Public identifier of a profile ("jane-doe-123").
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function profileSlug(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+
+  if (!/^https?:$/.test(parsed.protocol) || !LINKEDIN_HOST.test(parsed.hostname)) {
+    return null;
+  }
+
+  const match = parsed.pathname.match(/^\/in\/([^/]+)\/?/);
+  if (!match) return null;
+
+  let slug = match[1];
+  try {
+    slug = decodeURIComponent(slug);
+  } catch {
+    // keep the raw slug if it is not valid percent-encoding
+  }
+  return slug.toLowerCase();
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} True for URLs that point at a public profile
+ */
+export function isProfileUrl(url) {
+  return profileSlug(url) !== null;
+}
@@ -0,0 +1,105 @@
+/**
+ * Batch progress file: records the status of every URL so an interrupted
+ * batch can resume where it stopped.
+ *
+ * {
+ *   "input": "urls.txt",
+ *   "updated_at": "...",
+ *   "urls": {
+ *     "<url>": { "status": "ok" | "failed" | "skipped", "attempts": 1,
+ *                "state": "ok", "error": null, "updated_at": "..." }
+ *   }
+ * }
+ *
+ * state is the page state of the last attempt (see page-state.js), or null
+ * for URLs that were never fetched.
+ */
+
+import fs from 'fs-extra';
+import { writeJsonAtomic } from './storage.js';
+
+export const STATUS = Object.freeze({
+  OK: 'ok',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+});
+
+/**
+ * Default progress file location for an input list.
+ * @param {string} inputFile
+ */
+export function defaultProgressFile(inputFile) {
+  return `${inputFile}.progress.json`;
+}
+
+export class BatchProgress {
+  constructor(filePath, state) {
+    this.filePath = filePath;
+    this.state = state;
+  }
+
+  /**
+   * Load an existing progress file, or start a fresh one.
+   * @param {string} filePath
+   * @param {string} inputFile
+   */
+  static async load(filePath, inputFile) {
+    if (await fs.pathExists(filePath)) {
+      const state = await fs.readJson(filePath);
+      state.urls = state.urls || {};
+      return new BatchProgress(filePath, state);
+    }
+    return new BatchProgress(filePath, {
+      input: inputFile,
+      started_at: new Date().toISOString(),
+      updated_at: null,
+      urls: {}
+    });
+  }
+
+  get(url) {
+    return this.state.urls[url] || null;
+  }
+
+  /**
+   * URLs that finished (ok or skipped) are not visited again on resume;
+   * failed URLs are retried.
+   */
+  isDone(url) {
+    const entry = this.get(url);
+    return Boolean(entry) && entry.status !== STATUS.FAILED;
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} status - One of STATUS
+   * @param {string|null} [error]
+   * @param {string|null} [pageState] - Page state of the attempt
+   */
+  async record(url, status, error = null, pageState = null) {
+    const previous = this.get(url);
+    const now = new Date().toISOString();
+    this.state.urls[url] = {
+      status,
+      attempts: (previous?.attempts || 0) + (status === STATUS.SKIPPED ? 0 : 1),
+      state: pageState,
+      error: error ? String(error) : null,
+      updated_at: now
+    };
+    this.state.updated_at = now;
+    await this.save();
+  }
+
+  async save() {
+    // Atomic, so a crash mid-write keeps the old progress
+    await writeJsonAtomic(this.filePath, this.state, { spaces: 2 });
+  }
+
+  summary() {
+    const counts = { ok: 0, failed: 0, skipped: 0 };
+    for (const entry of Object.values(this.state.urls)) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Public user data extractor
+ *
+ * Reads the person-level data a page publishes about itself: <title>, meta
+ * description, Open Graph tags, LinkedIn meta tags, JSON-LD structured data
+ * and links to social profiles. Works on any HTML, parsed with jsdom.
+ *
+ * JSON-LD is walked completely: @graph arrays, arrays of documents,
+ * array-valued @type, nested mainEntity and "@id" references are all
+ * followed to find the Person the page is about.
+ */
+
+import { JSDOM } from 'jsdom';
+import { logger } from './logger.js';
+
+const SOCIAL_LINK_PATTERN = /^https?:\/\/(?:www\.)?(?:twitter\.com|x\.com|linkedin\.com|github\.com)\//i;
+
+// Markers of HTML source that was copied out of a viewer entity-encoded
+const ENCODED_SOURCE_PATTERN = /&lt;(?:!doctype|html|head|body)\b/i;
+
+/**
+ * @param {string} html - Page HTML (entity-encoded source is decoded first)
+ * @param {object} [options]
+ * @param {string} [options.extractedFrom] - Where the HTML came from, recorded as extracted_from
+ * @returns {object} Public user data
+ */
+export function extractPublicUserData(html, { extractedFrom = 'Google Rich Results Test HTML' } = {}) {
+  const data = {
+    name: '',
+    headline: '',
+    location: '',
+    bio: '',
+    profile_image: '',
+    social_links: [],
+    works_for: [],
+    alumni_of: [],
+    same_as: [],
+    address: { locality: '', region: '', country: '' },
+    followers: null,
+    title: '',
+    meta_description: '',
+    extracted_from: extractedFrom
+  };
+
+  // Source copied out of a code viewer arrives with its markup escaped
+  let source = html;
+  if (ENCODED_SOURCE_PATTERN.test(html) && !/<html[\s>]/i.test(html)) {
+    source = decodeEntities(html);
+    logger.debug('Decoded entity-encoded HTML source');
+  }
+
+  const { window } = new JSDOM(source);
+  const document = window.document;
+
+  try {
+    data.title = cleanText(document.querySelector('title')?.textContent);
+    data.meta_description = metaContent(document, 'name', 'description');
+
+    data.name = metaContent(document, 'property', 'og:title');
+    data.bio = metaContent(document, 'property', 'og:description');
+    data.profile_image = metaContent(document, 'property', 'og:image');
+
+    // Structured data wins over meta tags where both are present
+    const person = findPerson(readJsonLd(document));
+    if (person) {
+      logger.debug('JSON-LD Person found', { name: person.name });
+      applyPerson(data, person);
+    }
+
+    // Fall back to meta tags and the title
+    if (!data.name && data.title) {
+      data.name = data.title.split(/[|\-–—]/)[0].trim();
+    }
+    if (!data.bio && data.meta_description) {
+      data.bio = data.meta_description;
+    }
+    if (!data.headline) {
+      data.headline = metaContent(document, 'name', 'linkedin:headline') ||
+        metaContent(document, 'property', 'linkedin:headline');
+    }
+    if (!data.headline && data.title.includes(' - ')) {
+      // "Jane Doe - Engineer at Acme | LinkedIn"
+      data.headline = data.title.split(' - ')[1].split('|')[0].trim();
+    }
+    if (!data.location) {
+      data.location = metaContent(document, 'name', 'linkedin:location');
+    }
+
+    const links = new Set();
+    for (const anchor of document.querySelectorAll('a[href]')) {
+      const href = anchor.getAttribute('href').trim();
+      if (SOCIAL_LINK_PATTERN.test(href)) links.add(href);
+    }
+    for (const url of data.same_as) {
+      if (SOCIAL_LINK_PATTERN.test(url)) links.add(url);
+    }
+    data.social_links = [...links];
+
+    logger.debug('Social links found', { count: data.social_links.length });
+    return data;
+  } finally {
+    window.close();
+  }
+}
+
+function metaContent(document, attribute, value) {
+  const meta = [...document.querySelectorAll(`meta[${attribute}]`)]
+    .find(el => el.getAttribute(attribute).toLowerCase() === value);
+  return cleanText(meta?.getAttribute('content'));
+}
+
+/**
+ * Parse every JSON-LD block on the page.
+ * @returns {object[]} Top-level JSON-LD values (objects or arrays)
+ */
+function readJsonLd(document) {
+  const documents = [];
+  for (const script of document.querySelectorAll('script[type]')) {
+    const type = script.getAttribute('type').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/ld+json') continue;
+
+    const text = script.textContent
+      .replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)/, '')
+      .replace(/(?:-->|\/\/\s*\]\]>)\s*$/, '')
+      .trim();
+    if (!text) continue;
+
+    try {
+      documents.push(JSON.parse(text));
+    } catch (e) {
+      logger.debug('Failed to parse JSON-LD', { error: e.message });
+    }
+  }
+  logger.debug('JSON-LD blocks found', { count: documents.length });
+  return documents;
+}
+
+/**
+ * Find the Person a page is about: the mainEntity of a ProfilePage if there
+ * is one, otherwise the first Person anywhere in the JSON-LD.
+ */
+function findPerson(documents) {
+  const nodes = [];
+  const byId = new Map();
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    nodes.push(value);
+    if (typeof value['@id'] === 'string' && Object.keys(value).length > 1) {
+      byId.set(value['@id'], value);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key !== '@context' && child && typeof child === 'object') collect(child);
+    }
+  };
+  collect(documents);
+
+  const resolve = (value) => {
+    const node = Array.isArray(value) ? value[0] : value;
+    if (node && typeof node === 'object' && node['@id'] && !hasType(node)) {
+      return byId.get(node['@id']) || node;
+    }
+    return node;
+  };
+
+  for (const node of nodes) {
+    if (isType(node, 'ProfilePage') && node.mainEntity) {
+      const entity = resolve(node.mainEntity);
+      if (isType(entity, 'Person')) return entity;
+    }
+  }
+  return nodes.find(node => isType(node, 'Person')) || null;
+}
+
+function hasType(node) {
+  return node['@type'] !== undefined;
+}
+
+function isType(node, type) {
+  if (!node || typeof node !== 'object') return false;
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(t => typeof t === 'string' && t.replace(/^.*[/#:]/, '') === type);
+}
+
+function applyPerson(data, person) {
+  const name = firstText(person.name);
+  if (name) data.name = name;
+
+  const description = firstText(person.description);
+  if (description) data.bio = description;
+
+  const jobTitle = firstText(person.jobTitle);
+  if (jobTitle) data.headline = jobTitle;
+
+  const image = imageUrl(person.image);
+  if (image) data.profile_image = image;
+
+  const address = asArray(person.address)[0];
+  if (address && typeof address === 'object') {
+    data.address = {
+      locality: firstText(address.addressLocality),
+      region: firstText(address.addressRegion),
+      country: firstText(nameOf(address.addressCountry))
+    };
+    const parts = [data.address.locality, data.address.region, data.address.country];
+    if (parts.some(Boolean)) data.location = parts.filter(Boolean).join(', ');
+  } else if (typeof address === 'string') {
+    data.location = cleanText(address);
+  }
+
+  data.works_for = asArray(person.worksFor).map(organization).filter(org => org.name);
+  data.alumni_of = asArray(person.alumniOf).map(organization).filter(org => org.name);
+  data.same_as = asArray(person.sameAs).filter(url => typeof url === 'string').map(url => url.trim());
+
+  for (const counter of asArray(person.interactionStatistic)) {
+    const kind = `${nameOf(counter?.interactionType) || ''} ${counter?.name || ''}`;
+    const count = Number(counter?.userInteractionCount);
+    if (/follow/i.test(kind) && Number.isInteger(count) && count >= 0) {
+      data.followers = count;
+    }
+  }
+}
+
+function organization(value) {
+  if (typeof value === 'string') return { name: cleanText(value), url: '' };
+  return {
+    name: firstText(value?.name),
+    url: typeof value?.url === 'string' ? value.url : ''
+  };
+}
+
+function imageUrl(value) {
+  const image = asArray(value)[0];
+  if (typeof image === 'string') return image;
+  return image?.contentUrl || image?.url || '';
+}
+
+// {"@type": "Country", "name": "India"} -> "India"
+function nameOf(value) {
+  if (typeof value === 'string') return value;
+  return value?.name || value?.['@id'] || '';
+}
+
+function firstText(value) {
+  const first = asArray(value).find(item => typeof item === 'string' && item.trim());
+  return cleanText(first);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (entity, code) => codePoint(Number(code), entity))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => codePoint(parseInt(code, 16), entity))
+    .replace(/&amp;/g, '&');
+}
+
+// Numeric entities beyond Unicode are left as written
+function codePoint(code, entity) {
+  return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+}
+
+function cleanText(text) {
+  if (!text) return '';
+  return String(text).replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,227 @@
+/**
+ * Google Rich Results Test helpers
+ *
+ * Uses the Rich Results Test as an intermediate renderer: Google fetches the
+ * target URL, and the rendered HTML is read back out of the test's
+ * "View tested page" panel. public-user-data.js mines it for user data.
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Run a URL through the Rich Results Test and return the HTML Google
+ * rendered for it.
+ * @param {import('patchright').Page} page
+ * @param {string} targetUrl
+ * @returns {Promise<string>}
+ */
+export async function fetchHtmlViaRichResults(page, targetUrl) {
+  // Step 1: Navigate to Rich Results Test
+  logger.info('Testing URL in Google Rich Results Test', { url: targetUrl });
+  logger.debug('Navigating to Google Rich Results Test');
+  await page.goto('https://search.google.com/test/rich-results');
+  
+  // Step 2: Click the URL input textbox
+  logger.debug('Clicking URL input textbox');
+  await page.getByRole('textbox', { name: 'Enter a URL to test' }).click();
+  
+  // Step 3: Click again (as in the test)
+  await page.getByRole('textbox', { name: 'Enter a URL to test' }).click();
+  
+  // Step 4: Fill the URL
+  logger.debug('Filling URL', { url: targetUrl });
+  await page.getByRole('textbox', { name: 'Enter a URL to test' }).fill(targetUrl);
+  
+  // Step 5: Click Test URL button
+  logger.debug('Clicking Test URL button');
+  await page.getByRole('button', { name: 'test url' }).click();
+  
+  // Wait for results page to load
+  logger.debug('Waiting for results');
+  await page.waitForURL(/test\/rich-results\/result/);
+  
+  // Step 6: Click View tested page button
+  logger.debug('Clicking View tested page button');
+  await page.getByRole('button', { name: 'View tested page' }).click();
+  
+  // Wait for the HTML panel to be visible
+  logger.debug('Waiting for HTML panel to load');
+  await page.waitForTimeout(2000); // Give it time to render
+  
+  // Make sure HTML tab is selected
+  logger.debug('Ensuring HTML tab is selected');
+  try {
+    const htmlTab = page.getByRole('tab', { name: 'HTML' });
+    await htmlTab.click();
+    await page.waitForTimeout(1000);
+  } catch (e) {
+    logger.debug('HTML tab already selected or not found');
+  }
+  
+  // Extract HTML content from the viewer using multiple strategies
+  logger.debug('Extracting HTML content from viewer');
+  const html = await extractHtmlFromViewer(page);
+  
+  if (!html || html.length < 100) {
+    logger.error('Failed to extract meaningful HTML content', { html_length: html ? html.length : 0 });
+    
+    // Debug: Try to see what's in the page
+    const debugInfo = await page.evaluate(() => {
+      return {
+        title: document.title,
+        bodyText: document.body.innerText.substring(0, 500),
+        codeElements: document.querySelectorAll('code, pre').length,
+        hasMonacoEditor: !!document.querySelector('.monaco-editor')
+      };
+    });
+    logger.debug('Viewer page state', debugInfo);
+    
+    throw new Error('Could not extract HTML from the viewer');
+  }
+
+  return html;
+}
+
+export async function extractHtmlFromViewer(page) {
+  logger.debug('Trying multiple extraction strategies');
+  
+  // Strategy 1: Try to get content from Monaco Editor (Google uses this)
+  logger.trace('Strategy 1: Monaco Editor');
+  try {
+    const monacoContent = await page.evaluate(() => {
+      const monaco = document.querySelector('.monaco-editor');
+      if (monaco) {
+        // Try to get the text content from view-lines
+        const viewLines = monaco.querySelector('.view-lines');
+        if (viewLines) {
+          return viewLines.innerText;
+        }
+        // Fallback to getting all text
+        return monaco.innerText;
+      }
+      return null;
+    });
+    
+    if (monacoContent && monacoContent.length > 500) {
+      logger.debug('Extracted HTML from Monaco Editor', { chars: monacoContent.length });
+      return monacoContent;
+    }
+  } catch (e) {
+    logger.trace('Monaco Editor extraction failed', { error: e.message });
+  }
+  
+  // Strategy 2: Look for code/pre elements in the side panel
+  logger.trace('Strategy 2: code/pre elements');
+  try {
+    const codeContent = await page.evaluate(() => {
+      // Look for elements that might contain the HTML
+      const candidates = [
+        ...document.querySelectorAll('pre code'),
+        ...document.querySelectorAll('pre'),
+        ...document.querySelectorAll('code'),
+        ...document.querySelectorAll('[class*="code"]'),
+        ...document.querySelectorAll('[class*="html"]')
+      ];
+      
+      let longestContent = '';
+      for (const el of candidates) {
+        const text = el.innerText || el.textContent || '';
+        if (text.length > longestContent.length && text.includes('<!DOCTYPE')) {
+          longestContent = text;
+        }
+      }
+      
+      return longestContent;
+    });
+    
+    if (codeContent && codeContent.length > 500) {
+      logger.debug('Extracted HTML from code element', { chars: codeContent.length });
+      return codeContent;
+    }
+  } catch (e) {
+    logger.trace('Code element extraction failed', { error: e.message });
+  }
+  
+  // Strategy 3: Look for the HTML tab content specifically
+  logger.trace('Strategy 3: HTML tab panel');
+  try {
+    const tabContent = await page.evaluate(() => {
+      // Find elements with role="tabpanel" or similar
+      const tabPanels = document.querySelectorAll('[role="tabpanel"], [class*="tab-panel"]');
+      for (const panel of tabPanels) {
+        const text = panel.innerText || panel.textContent || '';
+        if (text.includes('<!DOCTYPE') || text.includes('<html')) {
+          return text;
+        }
+      }
+      return null;
+    });
+    
+    if (tabContent && tabContent.length > 500) {
+      logger.debug('Extracted HTML from tab panel', { chars: tabContent.length });
+      return tabContent;
+    }
+  } catch (e) {
+    logger.trace('Tab panel extraction failed', { error: e.message });
+  }
+  
+  // Strategy 4: Use clipboard API (click the copy button first)
+  logger.trace('Strategy 4: clipboard');
+  try {
+    // Click the copy button
+    await page.getByRole('button', { name: 'Copy editor content' }).click();
+    await page.waitForTimeout(500);
+    
+    // Try to read from clipboard using CDP
+    const cdpSession = await page.context().newCDPSession(page);
+    const { data } = await cdpSession.send('Browser.getClipboardContents');
+    
+    if (data && data.length > 500) {
+      logger.debug('Extracted HTML from clipboard', { chars: data.length });
+      return data;
+    }
+  } catch (e) {
+    logger.trace('Clipboard extraction failed', { error: e.message });
+  }
+  
+  // Strategy 5: Get all visible text and look for HTML patterns
+  logger.trace('Strategy 5: visible text');
+  try {
+    const allText = await page.evaluate(() => {
+      // Get all text nodes that might contain HTML
+      const walker = document.createTreeWalker(
+        document.body,
+        NodeFilter.SHOW_TEXT,
+        null,
+        false
+      );
+      
+      let longestHtmlLike = '';
+      let node;
+      while (node = walker.nextNode()) {
+        const text = node.textContent || '';
+        if (text.includes('<!DOCTYPE') || (text.includes('<html') && text.length > 1000)) {
+          if (text.length > longestHtmlLike.length) {
+            longestHtmlLike = text;
+          }
+        }
+      }
+      
+      return longestHtmlLike;
+    });
+    
+    if (allText && allText.length > 500) {
+      logger.debug('Found HTML-like content in visible text', { chars: allText.length });
+      return allText;
+    }
+  } catch (e) {
+    logger.trace('Text scanning failed', { error: e.message });
+  }
+  
+  // Strategy 6: Last resort - get the entire page content
+  logger.trace('Strategy 6: page.content()');
+  const pageContent = await page.content();
+  logger.warn('Using the viewer page content as HTML; it may not be accurate', { chars: pageContent.length });
+  
+  return pageContent;
+}
@@ -0,0 +1,170 @@
+/**
+ * robots.txt support (RFC 9309).
+ *
+ * Each host's robots.txt is fetched once per run. The group for our product
+ * token is used if there is one, otherwise the "*" group. Allow / Disallow
+ * rules are matched longest-first with "*" and "$" wildcards; a tie goes to
+ * Allow. A missing robots.txt (4xx) allows everything; one that cannot be
+ * fetched (5xx, network error) disallows everything, as the RFC asks.
+ */
+
+import { ScraperError } from './errors.js';
+
+export const ROBOTS_USER_AGENT = 'linkedinscraper';
+
+/**
+ * Thrown for URLs robots.txt does not let us fetch.
+ */
+export class RobotsDisallowedError extends ScraperError {
+  constructor(url, rule) {
+    super(`disallowed by robots.txt (${rule})`);
+    this.name = 'RobotsDisallowedError';
+    this.url = url;
+    this.rule = rule;
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to one user agent.
+ * @param {string} text
+ * @param {string} [userAgent]
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}}
+ */
+export function parseRobotsTxt(text, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay' && Number.isFinite(Number(value))) {
+      current.crawlDelay = Number(value);
+    }
+  }
+
+  const token = userAgent.toLowerCase();
+  const matching = groups.filter(group => group.agents.includes(token));
+  const chosen = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: chosen.flatMap(group => group.rules),
+    crawlDelay: chosen.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+  };
+}
+
+/**
+ * The rule deciding whether a path may be fetched.
+ * @param {Array<{allow: boolean, path: string}>} rules
+ * @param {string} pathAndQuery - e.g. "/in/jane-doe?trk=x"
+ * @returns {{allow: boolean, path: string}|null} Null when no rule matches (allowed)
+ */
+export function matchRule(rules, pathAndQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rulePattern(rule.path).test(pathAndQuery)) continue;
+    if (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Fetches and caches robots.txt per origin.
+ */
+export class RobotsCache {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.userAgent]
+   * @param {number} [options.timeout] - robots.txt fetch timeout (ms)
+   */
+  constructor({ userAgent = ROBOTS_USER_AGENT, timeout = 10000 } = {}) {
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+    this.origins = new Map();
+  }
+
+  /**
+   * Throw if robots.txt disallows the URL.
+   * @param {string} url
+   * @throws {RobotsDisallowedError}
+   */
+  async check(url) {
+    const parsed = new URL(url);
+    const robots = await this.forOrigin(parsed.origin);
+    if (robots.unreachable) {
+      throw new RobotsDisallowedError(url, robots.unreachable);
+    }
+
+    const rule = matchRule(robots.rules, parsed.pathname + parsed.search);
+    if (rule && !rule.allow) {
+      throw new RobotsDisallowedError(url, `Disallow: ${rule.path}`);
+    }
+  }
+
+  /**
+   * Crawl-delay for the URL's host in ms, if robots.txt sets one.
+   * @param {string} url
+   * @returns {Promise<number|null>}
+   */
+  async crawlDelay(url) {
+    const robots = await this.forOrigin(new URL(url).origin);
+    return robots.crawlDelay === null ? null : robots.crawlDelay * 1000;
+  }
+
+  forOrigin(origin) {
+    if (!this.origins.has(origin)) {
+      this.origins.set(origin, this.fetchRobots(origin));
+    }
+    return this.origins.get(origin);
+  }
+
+  async fetchRobots(origin) {
+    const allowAll = { rules: [], crawlDelay: null, unreachable: null };
+    try {
+      const response = await fetch(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      if (response.status >= 500) {
+        return { ...allowAll, unreachable: `robots.txt returned HTTP ${response.status}` };
+      }
+      if (!response.ok) return allowAll;
+      return { ...parseRobotsTxt(await response.text(), this.userAgent), unreachable: null };
+    } catch (error) {
+      return { ...allowAll, unreachable: `robots.txt unreachable: ${error.message}` };
+    }
+  }
+}
+
+// "/in/*/detail$" -> /^\/in\/.*\/detail$/
+function rulePattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
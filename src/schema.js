@@ -0,0 +1,88 @@
+/**
+ * JSON Schema validation for everything the scrapers persist.
+ *
+ * Schemas live in schemas/ and are versioned by file name. Every record
+ * carries the schema_version it was written with.
+ */
+
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { ScraperError } from './errors.js';
+
+export const PROFILE_SCHEMA_VERSION = 1;
+export const PUBLIC_USER_DATA_SCHEMA_VERSION = 2;
+
+const ajv = new Ajv2020({ allErrors: true });
+addFormats(ajv);
+
+const validators = {
+  profile: ajv.compile(loadSchema(`profile.v${PROFILE_SCHEMA_VERSION}.schema.json`)),
+  publicUserData: ajv.compile(
+    loadSchema(`public-user-data.v${PUBLIC_USER_DATA_SCHEMA_VERSION}.schema.json`)
+  )
+};
+
+/**
+ * Thrown when a record does not match its schema.
+ */
+export class ValidationError extends ScraperError {
+  constructor(message, errors) {
+    super(`${message}:\n  ${errors.join('\n  ')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a profile.json record.
+ * @param {object} record
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateProfile(record) {
+  return runValidator(validators.profile, record);
+}
+
+/**
+ * Check a scraper.js result.
+ * @param {object} result
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validatePublicUserData(result) {
+  return runValidator(validators.publicUserData, result);
+}
+
+/**
+ * @param {object} record
+ * @throws {ValidationError}
+ */
+export function assertValidProfile(record) {
+  const errors = validateProfile(record);
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid profile record for ${record?.profileUrl}`, errors);
+  }
+}
+
+/**
+ * @param {object} result
+ * @throws {ValidationError}
+ */
+export function assertValidPublicUserData(result) {
+  const errors = validatePublicUserData(result);
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid result for ${result?.input_url}`, errors);
+  }
+}
+
+function runValidator(validate, value) {
+  if (validate(value)) return [];
+  return validate.errors.map(error =>
+    `${error.instancePath || '(record)'} ${error.message}` +
+    (error.params?.additionalProperty ? ` (${error.params.additionalProperty})` : '')
+  );
+}
+
+function loadSchema(fileName) {
+  return fs.readJsonSync(fileURLToPath(new URL(`../schemas/${fileName}`, import.meta.url)));
+}
@@ -0,0 +1,141 @@
+/**
+ * Profile scraping shared by the scrape and batch commands: fetch a page
+ * from any page source (see sources.js), classify it (see page-state.js),
+ * run the profile parser over it and hand the record to the output sinks.
+ */
+
+import { BrowserSource, declaredUrl } from './sources.js';
+import { PoliteSource } from './politeness.js';
+import { logger } from './logger.js';
+import { discardCapture } from './artifacts.js';
+import { parseProfileHtml } from './profile-parser.js';
+import { canonicalProfileUrl, isProfileUrl } from './profile-url.js';
+import { PAGE_STATES, PageStateError, classifyPage, classifyError } from './page-state.js';
+import { upsertProfile, profileFields, compactProfiles, DEFAULT_STORE_FILE } from './store.js';
+import { createSinks } from './sinks.js';
+
+/**
+ * Fetch a profile page. Transient states (timeout, rate_limited) are retried
+ * up to maxRetries times, waiting retryDelay, then twice as long on every
+ * further attempt (or longer, if the server sent Retry-After). Auth walls and
+ * missing profiles are not retried.
+ * @param {object} source - Page source, or a patchright Browser to render with
+ * @param {string} target - Profile URL (or file path for the file source)
+ * @param {object} [config]
+ * @param {number} [config.maxRetries] - Extra attempts for transient states
+ * @param {number} [config.retryDelay] - Delay before the first retry (ms)
+ * @returns {Promise<{html: string, url: string, status: number|null, retryAfter: number|null}>}
+ * @throws {PageStateError} For any page that is not ok; error.attempts says how
+ *   many were made, error.page / error.capture hold what was fetched
+ */
+export async function loadProfilePage(source, target, config = {}) {
+  const { maxRetries = 3, retryDelay = 2000 } = config;
+  const pages = asSource(source, config);
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const page = await pages.fetchPage(target);
+      const { state, detail } = classifyPage(page);
+      if (state === PAGE_STATES.OK) return page;
+      error = new PageStateError(state, target, detail);
+      error.retryAfter = page.retryAfter;
+      error.page = page;
+    } catch (fetchError) {
+      const state = classifyError(fetchError);
+      if (!state) throw fetchError;
+      error = fetchError instanceof PageStateError
+        ? fetchError
+        : new PageStateError(state, target, fetchError.message.split('\n')[0]);
+      error.capture = fetchError.capture;
+    }
+
+    error.attempts = attempt + 1;
+    if (!error.transient || attempt >= maxRetries) throw error;
+    await discardCapture(error.page?.capture || error.capture);
+
+    // The server's Retry-After wins when it asks for a longer wait
+    const delay = Math.max(retryDelay * 2 ** attempt, error.retryAfter ?? 0);
+    logger.warn(`${error.message}, retrying`, {
+      url: target, retry: `${attempt + 1}/${maxRetries}`, delay_ms: delay
+    });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Parse a fetched profile page. A page with no profile name on it is a
+ * parse_error rather than a record full of nulls.
+ * @param {{html: string, url: string}} page - Result of loadProfilePage()
+ * @param {string} [target] - Reported in the error
+ * @returns {object} Profile record
+ * @throws {PageStateError}
+ */
+export function parseProfilePage(page, target = page.url) {
+  let data;
+  let problem = null;
+  try {
+    data = parseProfileHtml(page.html);
+    if (!data.name) problem = 'no profile name found on the page';
+  } catch (error) {
+    problem = error.message;
+  }
+  if (problem) {
+    const error = new PageStateError(PAGE_STATES.PARSE_ERROR, target, problem);
+    error.page = page;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Fetch a profile and parse it.
+ * @param {object} source - Page source, or a patchright Browser to render with
+ * @param {string} target - Profile URL (or file path for the file source)
+ * @param {object} [config] - See loadProfilePage()
+ * @returns {Promise<object>} Profile record
+ * @throws {PageStateError}
+ */
+export async function scrapeProfile(source, target, config = {}) {
+  return parseProfilePage(await loadProfilePage(source, target, config), target);
+}
+
+/**
+ * The profile URL a scraped page should be stored under: the target itself,
+ * or, for saved files and local test servers, the page's final or declared
+ * URL.
+ * @param {string} target
+ * @param {{html: string, url: string}} page - Result of loadProfilePage()
+ * @returns {string|null} Canonical profile URL
+ */
+export function resolveProfileUrl(target, page) {
+  const url = [target, page.url, declaredUrl(page.html)].find(isProfileUrl);
+  return url ? canonicalProfileUrl(url) : null;
+}
+
+/**
+ * Output sinks for profile records (see sinks.js), with the profile store
+ * as the store sink.
+ * @param {object} config
+ * @param {string} [storeFile]
+ * @returns {import('./sinks.js').OutputSinks}
+ * @throws {ConfigError} For a sink configuration that cannot work
+ */
+export function createProfileSinks(config, storeFile = DEFAULT_STORE_FILE) {
+  return createSinks(config, {
+    kind: 'profile',
+    store: async (record) => {
+      const { record: stored, created } = await upsertProfile(record.profileUrl, profileFields(record), { storeFile });
+      logger.info(`Profile ${created ? 'added to' : 'updated in'} ${storeFile}`, { url: record.profileUrl });
+      return stored;
+    },
+    // profile.json holds every profile again once the run is over
+    closeStore: () => compactProfiles(storeFile).then(() => {})
+  });
+}
+
+// A bare Browser is wrapped so callers can keep passing one in
+function asSource(source, config) {
+  if (typeof source.fetchPage === 'function') return source;
+  return new PoliteSource(new BrowserSource(config, source), config);
+}
@@ -0,0 +1,239 @@
+/**
+ * Search over the profile store.
+ *
+ * Reading and scanning every record of a large profile.json on each query
+ * is slow, so searches run against an index kept next to the store
+ * (<store>.index.json). It holds one small summary per profile plus an
+ * inverted index of the words in name, headline and about:
+ *
+ *   {"version": 2, "store": {"size": ..., "mtime_ms": ...}, "journal": {...},
+ *    "docs": [{profileUrl, name, headline, location, current_company, ...}],
+ *    "terms": {"engineer": [[0, 2], [7, 3]], ...}}     term -> [doc, weight]
+ *
+ * The index is rebuilt whenever the store or its journal (see storage.js)
+ * changed. Weights rank matches in name (3) above headline (2) above
+ * about (1).
+ */
+
+import fs from 'fs-extra';
+import { readProfiles, openProfileStore, DEFAULT_STORE_FILE } from './store.js';
+import { writeJsonAtomic, fileStamp, sameStamp } from './storage.js';
+import { profileSlug } from './profile-url.js';
+import { logger } from './logger.js';
+
+export const SORT_FIELDS = ['relevance', 'name', 'followers', 'last_scraped', 'first_seen'];
+
+const INDEX_VERSION = 2;
+const FIELD_WEIGHTS = { name: 3, headline: 2, about: 1 };
+
+/**
+ * Default index location for a store file.
+ * @param {string} storeFile
+ */
+export function defaultIndexFile(storeFile = DEFAULT_STORE_FILE) {
+  return `${storeFile}.index.json`;
+}
+
+/**
+ * Lowercased words without accents: "Ingénieure, R&D" -> ["ingenieure", "r", "d"]
+ * @param {string|null|undefined} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Build the index for a list of stored records.
+ * @param {object[]} profiles
+ * @returns {{docs: object[], terms: Object<string, Array<[number, number]>>}}
+ */
+export function buildSearchIndex(profiles) {
+  const docs = [];
+  const terms = {};
+
+  profiles.forEach(record => {
+    if (!record || typeof record !== 'object') return;
+    const id = docs.length;
+    docs.push(summary(record));
+
+    const weights = new Map();
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of new Set(tokenize(record[field]))) {
+        weights.set(term, (weights.get(term) || 0) + weight);
+      }
+    }
+    for (const [term, weight] of weights) {
+      (terms[term] ||= []).push([id, weight]);
+    }
+  });
+
+  return { docs, terms };
+}
+
+/**
+ * Load the index for a store, rebuilding (and saving) it if the store changed.
+ * @param {string} [storeFile]
+ * @param {string} [indexFile]
+ * @returns {Promise<{docs: object[], terms: object}>}
+ */
+export async function loadSearchIndex(storeFile = DEFAULT_STORE_FILE, indexFile = defaultIndexFile(storeFile)) {
+  const store = await fileStamp(storeFile);
+  const journal = await fileStamp(openProfileStore(storeFile).journalFile);
+  if (!store && !journal) return { docs: [], terms: {} };
+
+  if (await fs.pathExists(indexFile)) {
+    const index = await fs.readJson(indexFile).catch(() => null);
+    if (index?.version === INDEX_VERSION &&
+        sameStamp(index.store, store) && sameStamp(index.journal, journal)) {
+      return index;
+    }
+  }
+
+  const index = { version: INDEX_VERSION, store, journal, ...buildSearchIndex(await readProfiles(storeFile)) };
+  await writeJsonAtomic(indexFile, index);
+  logger.debug('Search index rebuilt', { file: indexFile, profiles: index.docs.length });
+  return index;
+}
+
+/**
+ * Search an index.
+ * @param {{docs: object[], terms: object}} index
+ * @param {object} [query]
+ * @param {string} [query.text] - Words to find in name / headline / about;
+ *   every word must match, as a word or the start of one
+ * @param {string} [query.location] - Substring of the location
+ * @param {string} [query.company] - Substring of the current company
+ * @param {string} [query.school] - Substring of any school
+ * @param {string} [query.skill] - Substring of any skill
+ * @param {number} [query.minFollowers]
+ * @param {number} [query.maxFollowers]
+ * @param {string} [query.sort] - One of SORT_FIELDS, "-" in front for descending
+ *   (default: relevance, best first, with text; name without)
+ * @param {number} [query.limit]
+ * @param {number} [query.offset]
+ * @returns {{total: number, results: object[]}} Summaries, with a score when text was given
+ */
+export function searchIndex(index, query = {}) {
+  const {
+    text = '', location, company, school, skill, minFollowers, maxFollowers,
+    sort, limit = Infinity, offset = 0
+  } = query;
+
+  let scores = null;
+  const words = tokenize(text);
+  if (words.length > 0) {
+    const sortedTerms = index.sortedTerms || Object.keys(index.terms).sort();
+    index.sortedTerms = sortedTerms;
+    for (const word of words) {
+      const wordScores = new Map();
+      for (const term of termsWithPrefix(sortedTerms, word)) {
+        for (const [id, weight] of index.terms[term]) {
+          // An exact word counts for more than a word it only starts
+          const score = term === word ? weight * 2 : weight;
+          wordScores.set(id, Math.max(wordScores.get(id) || 0, score));
+        }
+      }
+      scores = scores === null
+        ? wordScores
+        : new Map([...scores].filter(([id]) => wordScores.has(id)).map(([id, s]) => [id, s + wordScores.get(id)]));
+    }
+  }
+
+  const contains = (value, needle) => Boolean(value) && fold(value).includes(fold(needle));
+  const ids = scores ? [...scores.keys()] : index.docs.map((doc, id) => id);
+  const matches = ids.filter(id => {
+    const doc = index.docs[id];
+    if (location && !contains(doc.location, location)) return false;
+    if (company && !contains(doc.current_company, company)) return false;
+    if (school && !doc.schools.some(name => contains(name, school))) return false;
+    if (skill && !doc.skills.some(name => contains(name, skill))) return false;
+    if (minFollowers !== undefined && !(doc.followers >= minFollowers)) return false;
+    if (maxFollowers !== undefined && !(doc.followers <= maxFollowers)) return false;
+    return true;
+  });
+
+  const results = matches.map(id => (scores ? { ...index.docs[id], score: scores.get(id) } : { ...index.docs[id] }));
+  results.sort(comparator(sort || (scores ? 'relevance' : 'name')));
+
+  return { total: results.length, results: results.slice(offset, offset + limit) };
+}
+
+/**
+ * Search the profile store.
+ * @param {object} [query] - See searchIndex()
+ * @param {object} [options]
+ * @param {string} [options.storeFile]
+ * @param {string} [options.indexFile]
+ * @returns {Promise<{total: number, results: object[]}>}
+ */
+export async function searchProfiles(query = {}, { storeFile = DEFAULT_STORE_FILE, indexFile } = {}) {
+  const index = await loadSearchIndex(storeFile, indexFile || defaultIndexFile(storeFile));
+  return searchIndex(index, query);
+}
+
+// What a search result shows of a profile
+function summary(record) {
+  const schools = [record.education_top, ...list(record.education).map(entry => entry?.school)];
+  return {
+    profileUrl: record.profileUrl ?? null,
+    profile_id: profileSlug(record.profileUrl) ?? null,
+    name: record.name ?? null,
+    headline: record.headline ?? null,
+    location: record.location ?? null,
+    current_company: record.current_company ?? null,
+    schools: [...new Set(schools.filter(Boolean))],
+    skills: list(record.skills).filter(skill => typeof skill === 'string'),
+    followers: Number.isInteger(record.followers) ? record.followers : null,
+    first_seen: record.first_seen ?? null,
+    last_scraped: record.last_scraped ?? null
+  };
+}
+
+function comparator(sort) {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const key = field === 'relevance' ? 'score' : field;
+  // Best match first, whatever the sign
+  const direction = field === 'relevance' || descending ? -1 : 1;
+
+  return (a, b) => {
+    const x = a[key];
+    const y = b[key];
+    // Profiles without the value go last either way
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y), 'en', { sensitivity: 'base' });
+    return order * direction;
+  };
+}
+
+// Binary search for the first term >= prefix, then walk while it matches
+function termsWithPrefix(sortedTerms, prefix) {
+  let low = 0;
+  let high = sortedTerms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedTerms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  const found = [];
+  for (let i = low; i < sortedTerms.length && sortedTerms[i].startsWith(prefix); i++) {
+    found.push(sortedTerms[i]);
+  }
+  return found;
+}
+
+function fold(text) {
+  return tokenize(text).join(' ');
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
@@ -0,0 +1,207 @@
+/**
+ * Parsers for the list sections of a public profile (everything except
+ * Experience and Activity, see experience-parser.js and activity-parser.js).
+ *
+ * Public profile sections share one card layout per list item:
+ *   <h3> primary line (school, certificate, project, language, ...)
+ *   <h4> secondary line (degree, issuer, proficiency, ...)
+ *   a date range, and an optional description
+ * readCard() pulls those parts out; each section parser maps them to its own
+ * fields. Items without that markup fall back to their text lines.
+ */
+
+import {
+  innerText, findSection, topLevelItems, ownElement, ownText, cleanLine
+} from './dom.js';
+import { parseDateRange } from './dates.js';
+
+const TITLE_SELECTOR = '.profile-section-card__title, h3';
+const SUBTITLE_SELECTOR = '.profile-section-card__subtitle, h4';
+const DATE_SELECTOR = '.date-range, [class*="duration"]';
+const DESCRIPTION_SELECTOR = '.show-more-less-text__text--more, .show-more-less-text__text--less, ' +
+  '[class*="description"], [class*="details"]';
+
+/**
+ * @param {Document} document
+ * @returns {Array<{school, degree, field, start_year, end_year, description}>}
+ */
+export function parseEducation(document) {
+  return readSection(document, ['Education'], 'educationsDetails').map(card => {
+    const [degree, field] = card.subtitleParts.length > 1
+      ? card.subtitleParts
+      : splitDegree(card.subtitle);
+    const range = parseDateRange(card.dates);
+    const isRange = /[-–—]/.test(card.dates || '');
+
+    return {
+      school: card.title,
+      degree: degree || null,
+      field: field || null,
+      start_year: isRange ? range.start?.year ?? null : null,
+      end_year: range.is_current ? null : range.end?.year ?? null,
+      description: card.description
+    };
+  });
+}
+
+/**
+ * @param {Document} document
+ * @returns {Array<{name, issuer, issue_date, expiry_date, credential_id, credential_url}>}
+ */
+export function parseCertifications(document) {
+  const headings = ['Licenses & Certifications', 'Certifications'];
+  return readSection(document, headings, 'certifications').map(card => {
+    const issued = card.text.match(/Issued\s+([A-Za-z]+\.?\s+\d{4}|\d{4})/i);
+    const expires = card.text.match(/Expire[sd]\s+([A-Za-z]+\.?\s+\d{4}|\d{4})/i);
+    const credentialId = card.text.match(/Credential ID\s*:?\s*(\S+)/i);
+    const credentialLink = [...card.item.querySelectorAll('a[href]')]
+      .find(a => /credential/i.test(innerText(a)));
+
+    return {
+      name: card.title,
+      issuer: card.subtitle,
+      issue_date: issued ? parseDateRange(issued[1]).start : parseDateRange(card.dates).start,
+      expiry_date: expires ? parseDateRange(expires[1]).start : null,
+      credential_id: credentialId ? credentialId[1] : null,
+      credential_url: credentialLink?.href || null
+    };
+  });
+}
+
+/**
+ * @param {Document} document
+ * @returns {Array<{name, start, end, is_current, description, url}>}
+ */
+export function parseProjects(document) {
+  return readSection(document, ['Projects'], 'projects').map(card => {
+    const { start, end, is_current } = parseDateRange(card.dates);
+    return {
+      name: card.title,
+      start,
+      end: is_current ? null : end,
+      is_current,
+      description: card.description,
+      url: card.url
+    };
+  });
+}
+
+/**
+ * @param {Document} document
+ * @returns {Array<{language, proficiency}>}
+ */
+export function parseLanguages(document) {
+  return readSection(document, ['Languages'], 'languages').map(card => ({
+    language: card.title,
+    proficiency: card.subtitle
+  }));
+}
+
+/**
+ * @param {Document} document
+ * @returns {Array<{title, publisher, date, description, url}>}
+ */
+export function parsePublications(document) {
+  return readSection(document, ['Publications'], 'publications').map(card => {
+    const publisher = card.subtitleParts.find(part => !parseDateRange(part).start) || null;
+    return {
+      title: card.title,
+      publisher,
+      date: parseDateRange(card.dates).start,
+      description: card.description,
+      url: card.url
+    };
+  });
+}
+
+/**
+ * @param {Document} document
+ * @returns {Array<{title, issuer, date, description}>}
+ */
+export function parseHonors(document) {
+  const headings = ['Honors & Awards', 'Honors and Awards', 'Honors'];
+  return readSection(document, headings, 'honors-and-awards').map(card => {
+    const issuer = card.subtitleParts.find(part => !parseDateRange(part).start) || null;
+    return {
+      title: card.title,
+      issuer: issuer ? issuer.replace(/^Issued by\s+/i, '') : null,
+      date: parseDateRange(card.dates).start,
+      description: card.description
+    };
+  });
+}
+
+/**
+ * @param {Document} document
+ * @returns {string[]} Skill names, however short
+ */
+export function parseSkills(document) {
+  return [...new Set(
+    readSection(document, ['Skills'], 'skills').map(card => card.title).filter(Boolean)
+  )];
+}
+
+function readSection(document, headings, dataSection) {
+  const section = headings
+    .map((heading, i) => findSection(document, heading, i === 0 ? dataSection : undefined))
+    .find(Boolean);
+  if (!section) return [];
+
+  return topLevelItems(section)
+    .map(readCard)
+    .filter(card => card.title);
+}
+
+function readCard(item) {
+  const lines = innerText(item).split('\n').map(cleanLine).filter(Boolean);
+  const titleEl = ownElement(item, TITLE_SELECTOR);
+
+  if (!titleEl) {
+    // No card markup: first line is the title, second the subtitle
+    const dateLine = lines.find(line => parseDateRange(line).start) || null;
+    const rest = lines.filter(line => line !== dateLine);
+    return {
+      item,
+      text: lines.join('\n'),
+      title: rest[0] || null,
+      subtitle: rest[1] || null,
+      subtitleParts: rest[1] ? splitParts(rest[1]) : [],
+      dates: dateLine,
+      description: rest.slice(2).join('\n') || null,
+      url: item.querySelector('a[href]')?.href || null
+    };
+  }
+
+  const subtitleEl = ownElement(item, SUBTITLE_SELECTOR);
+  const spans = subtitleEl
+    ? [...subtitleEl.children].map(child => cleanLine(innerText(child))).filter(Boolean)
+    : [];
+  const subtitle = cleanLine(innerText(subtitleEl));
+  const subtitleParts = spans.length > 1 ? spans : splitParts(subtitle);
+
+  return {
+    item,
+    text: lines.join('\n'),
+    title: cleanLine(innerText(titleEl)),
+    subtitle,
+    subtitleParts,
+    // Some cards print the date as part of the subtitle ("Publisher · Sep 2017")
+    dates: ownText(item, DATE_SELECTOR) || ownText(item, 'time') ||
+      subtitleParts.find(part => parseDateRange(part).start) || null,
+    description: cleanLine(innerText(ownElement(item, DESCRIPTION_SELECTOR))),
+    url: (titleEl.closest('a[href]') || titleEl.querySelector('a[href]') ||
+      item.querySelector('a[href]'))?.href || null
+  };
+}
+
+function splitParts(text) {
+  return text ? text.split('·').map(cleanLine).filter(Boolean) : [];
+}
+
+// "Bachelor's Degree, Electrical Engineering" -> [degree, field]
+function splitDegree(text) {
+  if (!text) return [null, null];
+  const index = text.indexOf(',');
+  if (index === -1) return [text, null];
+  return [text.slice(0, index).trim(), text.slice(index + 1).trim()];
+}
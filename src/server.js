@@ -0,0 +1,151 @@
+/**
+ * HTTP API around the job queue and the profile store. JSON in, JSON out:
+ *
+ *   POST /jobs           {"url": "..."} or {"urls": ["...", ...]}
+ *                        -> 202 {"jobs": [{id, url, status, ...}]}
+ *   GET  /jobs           -> {"jobs": [...], "counts": {...}}   (?status=queued)
+ *   GET  /jobs/:id       -> the job; done jobs include the stored "profile"
+ *   GET  /profiles       -> {"total": n, "profiles": [...]}    (?limit=&offset=)
+ *   GET  /profiles/:id   -> one stored profile; id is the profile_id (the
+ *                           /in/<id> part of its URL)
+ *
+ * Errors are {"error": "message"} with a 4xx / 5xx status.
+ */
+
+import http from 'http';
+import { readProfiles, DEFAULT_STORE_FILE } from './store.js';
+import { profileSlug } from './profile-url.js';
+import { logger } from './logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Thrown by route handlers for client errors.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {import('./jobs.js').JobQueue} options.queue
+ * @param {string} [options.storeFile]
+ * @param {(url: string) => string|null} [options.validateUrl] - Returns why a
+ *   URL cannot be queued, or null
+ * @returns {http.Server}
+ */
+export function createApiServer({ queue, storeFile = DEFAULT_STORE_FILE, validateUrl = () => null }) {
+  const findProfile = async (id) => {
+    const profiles = await readProfiles(storeFile);
+    return profiles.find(record => record?.profileUrl && profileSlug(record.profileUrl) === id) || null;
+  };
+
+  const routes = [
+    ['POST', /^\/jobs$/, async (request) => {
+      const body = await readJsonBody(request);
+      const urls = body.urls ?? (body.url === undefined ? undefined : [body.url]);
+      if (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => typeof url === 'string' && url.trim())) {
+        throw new HttpError(400, 'Expected {"url": "..."} or {"urls": ["...", ...]}');
+      }
+      const invalid = urls.map(url => [url, validateUrl(url.trim())]).filter(([, reason]) => reason);
+      if (invalid.length > 0) {
+        throw new HttpError(400, invalid.map(([url, reason]) => `${url}: ${reason}`).join('; '));
+      }
+
+      const jobs = await queue.enqueue(urls.map(url => url.trim()));
+      logger.info(`${jobs.length} jobs queued`, { ids: jobs.map(job => job.id) });
+      return [202, { jobs }];
+    }],
+
+    ['GET', /^\/jobs$/, async (request, url) => {
+      const status = url.searchParams.get('status') || undefined;
+      return [200, { jobs: queue.list({ status }), counts: queue.summary() }];
+    }],
+
+    ['GET', /^\/jobs\/([^/]+)$/, async (request, url, [id]) => {
+      const job = queue.get(id);
+      if (!job) throw new HttpError(404, `No job ${id}`);
+      const profile = job.result?.profile_id ? await findProfile(job.result.profile_id) : null;
+      return [200, profile ? { ...job, profile } : job];
+    }],
+
+    ['GET', /^\/profiles$/, async (request, url) => {
+      const limit = integerParam(url, 'limit', 100);
+      const offset = integerParam(url, 'offset', 0);
+      const profiles = await readProfiles(storeFile);
+      return [200, { total: profiles.length, profiles: profiles.slice(offset, offset + limit) }];
+    }],
+
+    ['GET', /^\/profiles\/([^/]+)$/, async (request, url, [id]) => {
+      const profile = await findProfile(id);
+      if (!profile) throw new HttpError(404, `No stored profile ${id}`);
+      return [200, profile];
+    }]
+  ];
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    let status;
+    let body;
+    try {
+      const matching = routes
+        .map(([method, pattern, handler]) => [method, url.pathname.match(pattern), handler])
+        .filter(([, match]) => match);
+      if (matching.length === 0) throw new HttpError(404, 'Not found');
+
+      const route = matching.find(([method]) => method === request.method);
+      if (!route) throw new HttpError(405, `${request.method} not allowed on ${url.pathname}`);
+
+      const params = route[1].slice(1).map(decodePathParam);
+      [status, body] = await route[2](request, url, params);
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error.message };
+      if (status === 500) logger.error(error.message, { path: url.pathname });
+    }
+
+    logger.debug('Request', { method: request.method, path: url.pathname, status });
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body, null, 2) + '\n');
+  });
+}
+
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed path: ${value}`);
+  }
+}
+
+async function readJsonBody(request) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+  } catch {
+    // reported below
+  }
+  throw new HttpError(400, 'Request body must be a JSON object');
+}
+
+function integerParam(url, name, fallback) {
+  const value = url.searchParams.get(name);
+  if (value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  return number;
+}
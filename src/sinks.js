@@ -0,0 +1,254 @@
+/**
+ * Output sinks: where scraped records go. Any combination can be used in
+ * one run (--sinks store,stdout,webhook):
+ *
+ *   store    the JSON store (profile.json; public_user_data.json for rich-results)
+ *   stdout   one JSON record per line on stdout, for piping; logs stay on stderr
+ *   dir      one <id>.json file per record in --output-dir, replaced on every scrape
+ *   webhook  POST each record to --webhook-url, retried on network errors, 429 and 5xx
+ *
+ * The store is written first, since it sets first_seen and last_scraped; the
+ * other sinks get the record as stored. One sink failing does not stop the
+ * others, and SinkError then names every sink that failed.
+ *
+ * With --webhook-secret, each webhook request is signed:
+ *   X-Scraper-Timestamp: <unix seconds>
+ *   X-Scraper-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ */
+
+import path from 'path';
+import { once } from 'events';
+import { createHmac } from 'crypto';
+import { profileSlug } from './profile-url.js';
+import { parseRetryAfter } from './politeness.js';
+import { writeJsonAtomic } from './storage.js';
+import { ScraperError } from './errors.js';
+import { ConfigError } from './config.js';
+import { logger } from './logger.js';
+
+export const SINK_TYPES = ['store', 'stdout', 'dir', 'webhook'];
+export const DEFAULT_OUTPUT_DIR = 'profiles';
+
+/**
+ * Thrown when one or more sinks could not take a record.
+ */
+export class SinkError extends ScraperError {
+  /**
+   * @param {Array<{sink: string, error: Error}>} failures
+   */
+  constructor(failures) {
+    super(`Output failed: ${failures.map(({ sink, error }) => `${sink} (${error.message})`).join(', ')}`);
+    this.name = 'SinkError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Build the sinks a run's configuration asks for.
+ * @param {object} config
+ * @param {string[]} config.sinks - Names from SINK_TYPES
+ * @param {object} options
+ * @param {(record: object) => Promise<object>} options.store - Writes a record
+ *   to the command's store and returns it as stored
+ * @param {() => Promise<void>} [options.closeStore] - Run when the sinks are closed
+ * @param {string} [options.kind] - Record kind, sent as X-Scraper-Event
+ * @returns {OutputSinks}
+ * @throws {ConfigError} For unknown sinks or a webhook without a URL
+ */
+export function createSinks(config, { store, closeStore = async () => {}, kind = 'profile' }) {
+  const names = [...new Set(config.sinks?.length ? config.sinks : ['store'])];
+  const unknown = names.filter(name => !SINK_TYPES.includes(name));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown sink(s): ${unknown.join(', ')} (expected ${SINK_TYPES.join(', ')})`);
+  }
+
+  const sinks = names.map(name => {
+    switch (name) {
+      case 'store': return { name, write: store, close: closeStore };
+      case 'stdout': return new StdoutSink();
+      case 'dir': return new DirectorySink(config.outputDir || DEFAULT_OUTPUT_DIR);
+      case 'webhook': return new WebhookSink(config, kind);
+    }
+  });
+  return new OutputSinks(sinks);
+}
+
+/**
+ * The sinks of one run, written together.
+ */
+export class OutputSinks {
+  constructor(sinks) {
+    // Store first: the others get the record with its bookkeeping fields
+    this.sinks = [...sinks].sort((a, b) => (b.name === 'store') - (a.name === 'store'));
+  }
+
+  get names() {
+    return this.sinks.map(sink => sink.name);
+  }
+
+  /**
+   * Write a record to every sink.
+   * @param {object} record
+   * @returns {Promise<object>} The record as stored (as given, without a store sink)
+   * @throws {SinkError}
+   */
+  async write(record) {
+    const failures = [];
+    let written = record;
+    for (const sink of this.sinks) {
+      try {
+        const result = await sink.write(written);
+        if (sink.name === 'store' && result) written = result;
+      } catch (error) {
+        failures.push({ sink: sink.name, error });
+      }
+    }
+    if (failures.length > 0) throw new SinkError(failures);
+    return written;
+  }
+
+  async close() {
+    for (const sink of this.sinks) await sink.close();
+  }
+}
+
+/**
+ * Writes one JSON line per record, waiting when the reader is slower.
+ */
+export class StdoutSink {
+  constructor(stream = process.stdout) {
+    this.name = 'stdout';
+    this.stream = stream;
+  }
+
+  async write(record) {
+    if (!this.stream.write(JSON.stringify(record) + '\n')) await once(this.stream, 'drain');
+  }
+
+  async close() {}
+}
+
+/**
+ * Writes each record to <dir>/<id>.json: the profile's /in/<id>, or a slug
+ * of the input URL for records without a profile URL.
+ */
+export class DirectorySink {
+  constructor(dir = DEFAULT_OUTPUT_DIR) {
+    this.name = 'dir';
+    this.dir = dir;
+  }
+
+  async write(record) {
+    const file = path.join(this.dir, `${recordId(record)}.json`);
+    // Readers never see half a file
+    await writeJsonAtomic(file, record, { spaces: 2 });
+    logger.debug('Record written', { file });
+  }
+
+  async close() {}
+}
+
+/**
+ * POSTs each record as JSON. Network errors, 429 and 5xx responses are
+ * retried webhookRetries times, waiting retryDelay, then twice as long on
+ * every further attempt (or the receiver's Retry-After, if longer).
+ */
+export class WebhookSink {
+  /**
+   * @param {object} config
+   * @param {string} config.webhookUrl
+   * @param {string} [config.webhookSecret] - Signs requests when set
+   * @param {number} [config.webhookRetries]
+   * @param {number} [config.retryDelay]
+   * @param {number} [config.timeout] - Per request (ms)
+   * @param {string} [kind] - Sent as X-Scraper-Event
+   */
+  constructor(config, kind = 'profile') {
+    if (!config.webhookUrl) {
+      throw new ConfigError('The webhook sink needs --webhook-url (WEBHOOK_URL)');
+    }
+    if (!/^https?:\/\//i.test(config.webhookUrl)) {
+      throw new ConfigError(`--webhook-url: expected an http(s) URL, got "${config.webhookUrl}"`);
+    }
+    this.name = 'webhook';
+    this.url = config.webhookUrl;
+    this.secret = config.webhookSecret || null;
+    this.retries = config.webhookRetries ?? 3;
+    this.retryDelay = config.retryDelay ?? 2000;
+    this.timeout = config.timeout ?? 30000;
+    this.kind = kind;
+  }
+
+  async write(record) {
+    const body = JSON.stringify(record);
+
+    for (let attempt = 0; ; attempt++) {
+      let retryAfter = null;
+      let problem;
+      try {
+        const response = await fetch(this.url, {
+          method: 'POST',
+          headers: this.headers(body),
+          body,
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        // Drained so the connection can be reused
+        await response.arrayBuffer().catch(() => {});
+        if (response.ok) return;
+
+        problem = new Error(`HTTP ${response.status}`);
+        if (response.status !== 429 && response.status < 500) throw problem;
+        retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      } catch (error) {
+        if (error === problem) throw error;
+        problem = error;
+      }
+
+      if (attempt >= this.retries) throw problem;
+      const delay = Math.max(this.retryDelay * 2 ** attempt, retryAfter ?? 0);
+      logger.warn(`Webhook delivery failed: ${problem.message}, retrying`, {
+        url: this.url, retry: `${attempt + 1}/${this.retries}`, delay_ms: delay
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  headers(body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Scraper-Event': this.kind,
+      'X-Scraper-Run-Id': logger.runId
+    };
+    if (this.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-Scraper-Timestamp'] = timestamp;
+      headers['X-Scraper-Signature'] = `sha256=${signPayload(this.secret, timestamp, body)}`;
+    }
+    return headers;
+  }
+
+  async close() {}
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>", hex encoded. Receivers recompute it
+ * from the X-Scraper-Timestamp header and the raw request body.
+ * @param {string} secret
+ * @param {string} timestamp
+ * @param {string} body
+ * @returns {string}
+ */
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function recordId(record) {
+  const slug = profileSlug(record.profileUrl);
+  if (slug) return slug;
+  return String(record.input_url || 'record')
+    .replace(/^https?:\/\//i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100) || 'record';
+}
@@ -0,0 +1,263 @@
+/**
+ * Page sources: interchangeable ways of getting a page's HTML.
+ *
+ *   browser       - render the URL in Chromium (default for scrape / batch)
+ *   http          - plain HTTP GET, no JavaScript
+ *   file          - read a saved HTML file from disk
+ *   rich-results  - let Google's Rich Results Test fetch and render the URL
+ *                   (default for rich-results)
+ *
+ * Every source has the same two methods:
+ *   fetchPage(target) -> {html, url, status, retryAfter, capture, preparation}
+ *                                      url is where the page ended up, status
+ *                                      the HTTP status (null when unknown),
+ *                                      retryAfter the Retry-After delay in ms,
+ *                                      capture the debug capture of a browser
+ *                                      page (see artifacts.js), if enabled,
+ *                                      preparation the page-prep.js steps run
+ *                                      on it (browser source only)
+ *   close()                            releases the browser, if any
+ * so the extractors never need to know where the HTML came from. A browser
+ * is only launched on the first fetchPage() call.
+ *
+ * createSource() wraps every source in the politeness controls (rate limit,
+ * concurrency cap, robots.txt; see politeness.js).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { chromium } from 'patchright';
+import { fetchHtmlViaRichResults } from './rich-results.js';
+import { PoliteSource, parseRetryAfter } from './politeness.js';
+import { startPageCapture } from './artifacts.js';
+import { preparePage } from './page-prep.js';
+import { withDocument } from './dom.js';
+
+export const SOURCE_NAMES = ['browser', 'http', 'file', 'rich-results'];
+
+// Sent by the http source so LinkedIn serves the same public page a browser gets
+const HTTP_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+/**
+ * Create a page source by name.
+ * @param {string} name - One of SOURCE_NAMES
+ * @param {object} [config] - Resolved configuration (headless, timeouts, politeness options)
+ * @param {object} [browser] - Browser or BrowserContext for the browser-backed
+ *   sources to open pages in; shared and not closed
+ * @returns {PoliteSource}
+ */
+export function createSource(name, config = {}, browser = null) {
+  return new PoliteSource(createRawSource(name, config, browser), config);
+}
+
+function createRawSource(name, config, browser) {
+  switch (name) {
+    case 'browser': return new BrowserSource(config, browser);
+    case 'http': return new HttpSource(config);
+    case 'file': return new FileSource();
+    case 'rich-results': return new RichResultsSource(config, browser);
+    default:
+      throw new Error(`Unknown page source "${name}" (expected ${SOURCE_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Renders pages in Chromium and, unless pagePrep is off, prepares them (see
+ * page-prep.js) before reading the HTML. A browser passed in is shared and
+ * not closed.
+ */
+export class BrowserSource {
+  constructor(config = {}, browser = null) {
+    this.name = 'browser';
+    this.config = config;
+    this.browser = browser;
+    this.ownsBrowser = !browser;
+  }
+
+  async fetchPage(url) {
+    const { timeout = 30000, navigationTimeout = 60000, pagePrep = true, settleTimeout = 5000 } = this.config;
+    const browser = await sharedBrowser(this, () => launchBrowser(this.config));
+
+    const page = await browser.newPage();
+    const capture = await maybeCapture(page, this.config);
+    try {
+      page.setDefaultTimeout(timeout);
+      page.setDefaultNavigationTimeout(navigationTimeout);
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      const status = response?.status() ?? null;
+      // Error pages have nothing to expand
+      const preparation = pagePrep && !(status >= 400) ? await preparePage(page, { settleTimeout }) : null;
+      return {
+        html: await page.content(),
+        url: page.url(),
+        status,
+        retryAfter: parseRetryAfter(response?.headers()['retry-after']),
+        capture: await capture?.finish({ failed: status >= 400 }),
+        preparation
+      };
+    } catch (error) {
+      error.capture = await capture?.finish({ failed: true });
+      throw error;
+    } finally {
+      await page.close();
+    }
+  }
+
+  async close() {
+    await closeBrowser(this);
+  }
+}
+
+/**
+ * Fetches pages with a plain GET. Redirects are followed; the page's own
+ * JavaScript never runs.
+ */
+export class HttpSource {
+  constructor(config = {}) {
+    this.name = 'http';
+    this.config = config;
+  }
+
+  async fetchPage(url) {
+    const { navigationTimeout = 60000 } = this.config;
+    const response = await fetch(url, {
+      headers: HTTP_HEADERS,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(navigationTimeout)
+    });
+    return {
+      html: await response.text(),
+      url: response.url || url,
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    };
+  }
+
+  async close() {}
+}
+
+/**
+ * Reads saved pages from disk. Targets are paths or file:// URLs.
+ */
+export class FileSource {
+  constructor() {
+    this.name = 'file';
+  }
+
+  async fetchPage(target) {
+    const filePath = target.startsWith('file:') ? fileURLToPath(target) : path.resolve(target);
+    const html = await fs.readFile(filePath, 'utf8');
+    return { html, url: pathToFileURL(filePath).href, status: null, retryAfter: null };
+  }
+
+  async close() {}
+}
+
+/**
+ * Has Google's Rich Results Test fetch the URL and reads the rendered HTML
+ * back out of its viewer (see rich-results.js).
+ */
+export class RichResultsSource {
+  constructor(config = {}, browser = null) {
+    this.name = 'rich-results';
+    this.config = config;
+    this.browser = browser;
+    this.ownsBrowser = !browser;
+  }
+
+  async fetchPage(url) {
+    const { timeout = 30000, navigationTimeout = 60000 } = this.config;
+    const browser = await sharedBrowser(this, () => launchBrowser(this.config, {
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    }));
+
+    const page = await browser.newPage();
+    const capture = await maybeCapture(page, this.config);
+    try {
+      page.setDefaultTimeout(timeout);
+      page.setDefaultNavigationTimeout(navigationTimeout);
+      const html = await fetchHtmlViaRichResults(page, url);
+      return { html, url, status: null, retryAfter: null, capture: await capture?.finish() };
+    } catch (error) {
+      error.capture = await capture?.finish({ failed: true });
+      throw error;
+    } finally {
+      // Left open for inspection in a headful debug run
+      if (!this.config.debug || this.config.headless) await page.close();
+    }
+  }
+
+  async close() {
+    await closeBrowser(this);
+  }
+}
+
+// With --concurrency above 1, the first fetches arrive together: they share
+// one launch instead of each starting (and leaking) a browser
+function sharedBrowser(source, launch) {
+  if (source.browser) return Promise.resolve(source.browser);
+  source.launching ??= launch().then(
+    browser => {
+      source.browser = browser;
+      return browser;
+    },
+    error => {
+      // The next fetch tries again
+      source.launching = null;
+      throw error;
+    }
+  );
+  return source.launching;
+}
+
+// Also waits for a launch still in progress, so its browser is not left running
+async function closeBrowser(source) {
+  const browser = source.browser || await source.launching?.catch(() => null);
+  source.browser = null;
+  source.launching = null;
+  if (browser && source.ownsBrowser) await browser.close();
+}
+
+// Browser pages are recorded and traced unless debug artifacts are switched
+// off (ArtifactStore deletes the traces of bundles it does not keep). Only
+// --artifacts always pays for a screenshot of every page.
+async function maybeCapture(page, config) {
+  if (config.artifacts === 'off') return null;
+  return startPageCapture(page, { trace: true, screenshot: config.artifacts === 'always' });
+}
+
+/**
+ * Launch the Chromium instance used by the browser-backed sources.
+ * @param {object} [config]
+ * @param {boolean} [config.headless]
+ * @param {object} [launchOptions] - Extra chromium.launch() options
+ * @returns {Promise<import('patchright').Browser>}
+ */
+export async function launchBrowser({ headless = false } = {}, launchOptions = {}) {
+  return chromium.launch({ headless, ...launchOptions });
+}
+
+/**
+ * The URL a page declares for itself: <link rel="canonical"> or og:url.
+ * @param {string} html
+ * @returns {string|null}
+ */
+export function declaredUrl(html) {
+  return withDocument(html, document => {
+    for (const el of document.querySelectorAll('link[href], meta[content]')) {
+      if (el.tagName === 'LINK' && (el.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('canonical')) {
+        return el.getAttribute('href') || null;
+      }
+      if (el.tagName === 'META' && el.getAttribute('property') === 'og:url') {
+        return el.getAttribute('content') || null;
+      }
+    }
+    return null;
+  });
+}
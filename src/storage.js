@@ -0,0 +1,576 @@
+/**
+ * Crash-safe, concurrency-safe file storage.
+ *
+ *   writeFileAtomic()  write a temp file next to the target, fsync, rename over
+ *                      it: readers see the old file or the new one, never half
+ *   FileLock           inter-process lock: an exclusive <file>.lock holding the
+ *                      owner's pid and a token; locks of dead or hung owners
+ *                      are broken
+ *   appendJsonLine(),  JSON-lines logs (history, failures): appends and
+ *   removeJsonLines()  rewrites hold the file's lock, rewrites are atomic, and
+ *                      lines a crash cut short are skipped
+ *   JournaledStore     keyed records kept as a JSON array (the snapshot) plus
+ *                      an append-only journal of the records written since:
+ *
+ *     profile.json           [ {...}, {...} ]                 compacted state
+ *     profile.json.journal   {"op":"put","key":"...","record":{...}}   one per write
+ *
+ * A write appends one journal line under the lock, so its cost does not grow
+ * with the store. Readers replay the journal over the snapshot, holding the
+ * same lock, so they never see a compaction half done (the new snapshot
+ * in place but the journal not yet emptied). Once the
+ * journal outgrows the snapshot (or on compact()), the merged records are
+ * written as the new snapshot and the journal is emptied. A crash at any point
+ * loses at most the write in progress: a torn last journal line is ignored
+ * and cut off by the next writer, and a journal replayed over a snapshot that
+ * already holds it changes nothing. Removals rewrite the snapshot at once, so
+ * removed records do not linger in the journal.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { Limiter } from './politeness.js';
+import { ScraperError } from './errors.js';
+import { logger } from './logger.js';
+
+// Journals smaller than this are never worth compacting on their own
+const MIN_COMPACT_BYTES = 256 * 1024;
+
+/**
+ * Thrown when a lock cannot be acquired in time.
+ */
+export class LockTimeoutError extends ScraperError {
+  constructor(file, owner) {
+    super(`Timed out waiting for ${file}` + (owner?.pid ? ` (held by pid ${owner.pid} on ${owner.host})` : ''));
+    this.name = 'LockTimeoutError';
+    this.file = file;
+  }
+}
+
+/**
+ * Replace a file's contents atomically.
+ * @param {string} file
+ * @param {string|Buffer} data
+ */
+export async function writeFileAtomic(file, data) {
+  const dir = path.dirname(path.resolve(file));
+  await fs.ensureDir(dir);
+  const tmpPath = path.join(dir, `.${path.basename(file)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tmpPath, file);
+  } catch (error) {
+    await fs.remove(tmpPath);
+    throw error;
+  }
+}
+
+/**
+ * writeFileAtomic() for JSON values.
+ * @param {string} file
+ * @param {*} value
+ * @param {object} [options]
+ * @param {number} [options.spaces]
+ */
+export async function writeJsonAtomic(file, value, { spaces } = {}) {
+  await writeFileAtomic(file, JSON.stringify(value, null, spaces) + '\n');
+}
+
+// One lock per JSON-lines file, so this process's tasks queue instead of polling
+const lineFileLocks = new Map();
+
+function lineFileLock(file) {
+  const resolved = path.resolve(file);
+  if (!lineFileLocks.has(resolved)) lineFileLocks.set(resolved, new FileLock(`${resolved}.lock`));
+  return lineFileLocks.get(resolved);
+}
+
+/**
+ * Append one value to a JSON-lines file. A last line cut short by a crash is
+ * ended first, so it does not swallow the new one.
+ * @param {string} file
+ * @param {*} value
+ */
+export async function appendJsonLine(file, value) {
+  await lineFileLock(file).run(async () => {
+    const handle = await fs.promises.open(file, 'a+');
+    try {
+      const { size } = await handle.stat();
+      const last = Buffer.alloc(1);
+      if (size > 0) await handle.read(last, 0, 1, size - 1);
+      const prefix = size > 0 && last[0] !== 0x0a ? '\n' : '';
+      await handle.write(prefix + JSON.stringify(value) + '\n');
+    } finally {
+      await handle.close();
+    }
+  });
+}
+
+/**
+ * Every value in a JSON-lines file; lines that do not parse are skipped.
+ * @param {string} file
+ * @returns {Promise<Array<*>>} Empty if the file does not exist
+ */
+export async function readJsonLines(file) {
+  return (await parseJsonLines(file)).values;
+}
+
+/**
+ * Delete values from a JSON-lines file. Lines that do not parse are dropped
+ * with them.
+ * @param {string} file
+ * @param {(value: *) => boolean} predicate - True for values to delete
+ * @returns {Promise<Array<*>>} The deleted values
+ */
+export async function removeJsonLines(file, predicate) {
+  return lineFileLock(file).run(async () => {
+    const { values, unreadable } = await parseJsonLines(file);
+    const removed = values.filter(value => predicate(value));
+    if (removed.length > 0 || unreadable > 0) {
+      const kept = values.filter(value => !removed.includes(value));
+      await writeFileAtomic(file, kept.map(value => JSON.stringify(value) + '\n').join(''));
+    }
+    return removed;
+  });
+}
+
+async function parseJsonLines(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { values: [], unreadable: 0 };
+    throw error;
+  }
+
+  const values = [];
+  let unreadable = 0;
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      values.push(JSON.parse(line));
+    } catch {
+      unreadable++;
+    }
+  }
+  if (unreadable > 0) logger.warn(`Skipping ${unreadable} unreadable lines`, { file });
+  return { values, unreadable };
+}
+
+/**
+ * Exclusive lock shared by every process on the machine (and by async tasks
+ * within one process). A lock is broken when its owner process is gone, or
+ * when it is older than `stale` ms.
+ *
+ * The lock file is written in full under a temp name and hard-linked into
+ * place, so it never exists half written; one that cannot be read anyway
+ * (left by an older version) is judged by its age alone. Releasing and
+ * breaking a lock first rename it aside, then check it is the lock they
+ * meant to remove (by token or inode) and put it back if not, so a waiter
+ * can neither release nor break a lock someone else has just taken.
+ */
+export class FileLock {
+  /**
+   * @param {string} file - The lock file
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Longest wait for the lock (ms)
+   * @param {number} [options.stale] - Age after which a lock is broken (ms)
+   */
+  constructor(file, { timeout = 30000, stale = 120000 } = {}) {
+    this.file = file;
+    this.timeout = timeout;
+    this.stale = stale;
+    // Tasks in this process queue here instead of polling the file
+    this.local = new Limiter(1);
+  }
+
+  /**
+   * Run a task while holding the lock.
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   * @template T
+   * @throws {LockTimeoutError}
+   */
+  async run(task) {
+    return this.local.run(async () => {
+      const token = await this.acquire();
+      try {
+        return await task();
+      } finally {
+        // Our lock may have been broken as stale; the next owner's stays
+        await this.removeIf(owner => owner.token === token);
+      }
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} The token written into the lock file
+   */
+  async acquire() {
+    const deadline = Date.now() + this.timeout;
+    let wait = 25;
+    for (;;) {
+      const token = await this.create();
+      if (token) return token;
+
+      const owner = await this.owner();
+      if (owner && this.isStale(owner)) {
+        // Only the waiter that moves this very file aside breaks it
+        if (await this.removeIf(moved => moved.ino === owner.ino)) {
+          logger.warn('Broke stale lock', { file: this.file, pid: owner.pid, host: owner.host });
+        }
+        continue;
+      }
+      if (Date.now() >= deadline) throw new LockTimeoutError(this.file, owner);
+      await new Promise(resolve => setTimeout(resolve, wait));
+      wait = Math.min(wait * 2, 500);
+    }
+  }
+
+  /**
+   * Create the lock file, complete, unless it exists.
+   * @returns {Promise<string|null>} The lock's token, or null if it is held
+   */
+  async create() {
+    const token = randomBytes(8).toString('hex');
+    const tmpPath = `${this.file}.${process.pid}.${token}.tmp`;
+    await fs.ensureDir(path.dirname(path.resolve(this.file)));
+    await fs.writeFile(tmpPath, JSON.stringify({
+      pid: process.pid, host: os.hostname(), token, acquired_at: new Date().toISOString()
+    }));
+    try {
+      await fs.promises.link(tmpPath, this.file);
+      return token;
+    } catch (error) {
+      if (error.code === 'EEXIST') return null;
+      throw error;
+    } finally {
+      await fs.remove(tmpPath);
+    }
+  }
+
+  /**
+   * The lock's owner, or null if there is no lock. A lock that cannot be
+   * parsed has no pid or token, only its age.
+   * @param {string} [file] - Where the lock is (default: this.file)
+   */
+  async owner(file = this.file) {
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch {
+      return null;
+    }
+    let data = {};
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8')) || {};
+    } catch {
+      // Empty or cut short by a crash
+    }
+    return {
+      pid: data.pid ?? null, host: data.host ?? null, token: data.token ?? null,
+      mtime_ms: stat.mtimeMs, ino: stat.ino
+    };
+  }
+
+  /**
+   * Remove the lock if it matches: it is renamed aside, checked, and put
+   * back if it is not the one meant.
+   * @param {(owner: object) => boolean} matches
+   * @returns {Promise<boolean>} True if it was removed
+   */
+  async removeIf(matches) {
+    const aside = `${this.file}.${process.pid}.${randomBytes(8).toString('hex')}.old`;
+    try {
+      await fs.promises.rename(this.file, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    try {
+      const owner = await this.owner(aside);
+      if (owner && matches(owner)) return true;
+      await fs.promises.link(aside, this.file).catch(error => {
+        // Taken again in between; that lock stands, and this one is lost
+        if (error.code !== 'EEXIST') throw error;
+      });
+      return false;
+    } finally {
+      await fs.remove(aside);
+    }
+  }
+
+  isStale(owner) {
+    if (Date.now() - owner.mtime_ms > this.stale) return true;
+    if (owner.pid === null || owner.host !== os.hostname()) return false;
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+}
+
+/**
+ * Keyed records in a snapshot file plus an append-only journal (see above).
+ * Records without a key (key() returns null) are kept in the snapshot as
+ * they are. Records are returned as copies.
+ */
+export class JournaledStore {
+  /**
+   * @param {string} file - Snapshot file (a JSON array)
+   * @param {object} options
+   * @param {(record: object) => string|null} options.key - A record's identity
+   * @param {number} [options.lockTimeout] - Longest wait for the lock (ms)
+   */
+  constructor(file, { key, lockTimeout = 30000 }) {
+    this.file = file;
+    this.journalFile = `${file}.journal`;
+    this.lock = new FileLock(`${file}.lock`, { timeout: lockTimeout });
+    this.key = key;
+    this.records = [];
+    this.positions = new Map();
+    this.snapshot = null;
+    this.journalOffset = 0;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Every record, in insertion order
+   */
+  async all() {
+    await this.lock.run(() => this.refresh());
+    return structuredClone(this.records);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async get(key) {
+    await this.lock.run(() => this.refresh());
+    const position = this.positions.get(key);
+    return position === undefined ? null : structuredClone(this.records[position]);
+  }
+
+  /**
+   * Insert or replace a record, built from the one stored under the same key.
+   * build() runs under the lock; nothing is written if it throws.
+   * @param {string} key
+   * @param {(previous: object|null) => object|Promise<object>} build
+   * @returns {Promise<{record: object, previous: object|null}>}
+   */
+  async upsert(key, build) {
+    return this.lock.run(async () => {
+      await this.refresh();
+      const position = this.positions.get(key);
+      const previous = position === undefined ? null : structuredClone(this.records[position]);
+      const record = await build(previous);
+
+      await this.appendJournal({ op: 'put', key, record });
+      this.apply(key, structuredClone(record));
+      await this.compactIfLarge();
+      return { record, previous };
+    });
+  }
+
+  /**
+   * Delete records, rewriting the snapshot straight away.
+   * @param {(record: object) => boolean} predicate
+   * @returns {Promise<object[]>} The deleted records
+   */
+  async remove(predicate) {
+    let removed = [];
+    await this.rewrite(records => {
+      removed = records.filter(record => predicate(record));
+      return removed.length > 0 ? records.filter(record => !predicate(record)) : null;
+    });
+    return removed;
+  }
+
+  /**
+   * Replace every record at once, as one new snapshot.
+   * @param {(records: object[]) => object[]|null|Promise<object[]|null>} transform -
+   *   Gets a copy of the records, under the lock; returns the new ones, or
+   *   null to leave the store as it is
+   * @returns {Promise<boolean>} Whether the store was rewritten
+   */
+  async rewrite(transform) {
+    return this.lock.run(async () => {
+      await this.refresh();
+      const records = await transform(structuredClone(this.records));
+      if (!records) return false;
+      this.load(records);
+      await this.writeSnapshot();
+      return true;
+    });
+  }
+
+  /**
+   * Fold the journal into the snapshot.
+   * @returns {Promise<boolean>} False when there was nothing to fold
+   */
+  async compact() {
+    return this.lock.run(async () => {
+      await this.refresh();
+      if (this.journalOffset === 0) return false;
+      await this.writeSnapshot();
+      return true;
+    });
+  }
+
+  // Bring the in-memory records up to date: a changed snapshot (another
+  // process compacted) means reading everything again, otherwise only the
+  // journal lines appended since the last read. Called under the lock.
+  async refresh() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const snapshot = await fileStamp(this.file);
+      if (sameStamp(snapshot, this.snapshot)) {
+        if (await this.readJournal()) return;
+        // Emptied by someone else's compaction: our offset means nothing now
+        this.snapshot = null;
+        continue;
+      }
+
+      this.load(await readSnapshot(this.file));
+      this.journalOffset = 0;
+      await this.readJournal();
+      this.snapshot = snapshot;
+      // A compaction between reading the snapshot and the journal would drop
+      // the journal's records from this view, so check it did not happen
+      if (sameStamp(await fileStamp(this.file), snapshot)) return;
+      this.snapshot = null;
+    }
+    throw new Error(`${this.file} keeps changing while being read`);
+  }
+
+  // Returns false when the journal was truncated under us
+  async readJournal() {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.journalFile, 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (this.journalOffset > 0) return false;
+      return true;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      if (size < this.journalOffset) return false;
+      if (size === this.journalOffset) return true;
+
+      const buffer = Buffer.alloc(size - this.journalOffset);
+      await handle.read(buffer, 0, buffer.length, this.journalOffset);
+      // Only whole lines count; a torn last line is a write that never finished
+      const complete = buffer.lastIndexOf(0x0a) + 1;
+      for (const line of buffer.subarray(0, complete).toString('utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          logger.warn('Skipping unreadable journal line', { file: this.journalFile });
+          continue;
+        }
+        if (entry.op === 'put' && entry.key) this.apply(entry.key, entry.record);
+      }
+      this.journalOffset += complete;
+      return true;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async appendJournal(entry) {
+    const handle = await fs.promises.open(this.journalFile, 'a');
+    try {
+      // Cut off what a crashed writer left behind before adding to it
+      const { size } = await handle.stat();
+      if (size > this.journalOffset) await handle.truncate(this.journalOffset);
+      const line = Buffer.from(JSON.stringify(entry) + '\n', 'utf8');
+      await handle.write(line);
+      await handle.sync();
+      this.journalOffset += line.length;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async compactIfLarge() {
+    const snapshotSize = this.snapshot?.size ?? 0;
+    if (this.journalOffset > Math.max(snapshotSize, MIN_COMPACT_BYTES)) {
+      await this.writeSnapshot();
+    }
+  }
+
+  async writeSnapshot() {
+    await writeJsonAtomic(this.file, this.records, { spaces: 2 });
+    // The snapshot now holds the journal's records; a crash before this
+    // truncate only means replaying them again, and readers wait for the
+    // lock, so none reads the new snapshot with the old journal offset
+    await fs.writeFile(this.journalFile, '');
+    this.journalOffset = 0;
+    this.snapshot = await fileStamp(this.file);
+    logger.debug('Store compacted', { file: this.file, records: this.records.length });
+  }
+
+  load(records) {
+    this.records = records;
+    this.positions = new Map();
+    records.forEach((record, position) => {
+      const key = this.key(record);
+      if (key !== null && key !== undefined) this.positions.set(key, position);
+    });
+  }
+
+  apply(key, record) {
+    const position = this.positions.get(key);
+    if (position === undefined) {
+      this.positions.set(key, this.records.length);
+      this.records.push(record);
+    } else {
+      this.records[position] = record;
+    }
+  }
+}
+
+async function readSnapshot(file) {
+  if (!(await fs.pathExists(file))) return [];
+  const data = await fs.readJson(file);
+  return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * What identifies a version of a file: inode, size and modification time.
+ * @param {string} file
+ * @returns {Promise<{ino: number, size: number, mtime_ms: number}|null>} Null if it does not exist
+ */
+export async function fileStamp(file) {
+  try {
+    const stat = await fs.stat(file);
+    return { ino: stat.ino, size: stat.size, mtime_ms: stat.mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * @param {object|null|undefined} a - From fileStamp()
+ * @param {object|null|undefined} b - From fileStamp()
+ * @returns {boolean}
+ */
+export function sameStamp(a, b) {
+  if (!a || !b) return a === null && b === null;
+  return a.ino === b.ino && a.size === b.size && a.mtime_ms === b.mtime_ms;
+}
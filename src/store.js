@@ -0,0 +1,161 @@
+/**
+ * Profile store: profile.json holds an array of scraped profiles, one per
+ * person, keyed by the canonical profile URL (see profile-url.js).
+ *
+ * Every stored record carries:
+ *   schema_version - version of schemas/profile.v<N>.schema.json it matches
+ *   profileUrl   - canonical profile URL
+ *   first_seen   - when the profile was first scraped
+ *   last_scraped - when the profile was last scraped
+ *   history_since - when its first snapshot was recorded (see below)
+ *
+ * Entries written before profileUrl was recorded cannot be matched to a
+ * source and are left untouched.
+ *
+ * profile.json only holds the latest scrape; every scrape is also kept as a
+ * snapshot in the history file (see history.js). history_since tells an
+ * update that the profile's history has begun without reading the history
+ * file; only records stored before it was kept need that read, once.
+ *
+ * The store is a JournaledStore (see storage.js): a write appends the record
+ * to profile.json.journal under profile.json.lock, and the journal is folded
+ * back into profile.json when it grows large and at the end of every run.
+ * Several runs can write the same store at once without losing profiles,
+ * and a crash loses at most the profile being written.
+ */
+
+import path from 'path';
+import { canonicalProfileUrl } from './profile-url.js';
+import { JournaledStore } from './storage.js';
+import { appendSnapshot, readSnapshots, DEFAULT_HISTORY_FILE } from './history.js';
+import { assertValidProfile, PROFILE_SCHEMA_VERSION } from './schema.js';
+
+export const DEFAULT_STORE_FILE = 'profile.json';
+
+// One per file, so a process keeps its view of the store between calls
+const stores = new Map();
+
+/**
+ * The JournaledStore behind a store file.
+ * @param {string} [filePath]
+ * @returns {JournaledStore}
+ */
+export function openProfileStore(filePath = DEFAULT_STORE_FILE) {
+  const file = path.resolve(filePath);
+  if (!stores.has(file)) stores.set(file, new JournaledStore(file, { key: profileKey }));
+  return stores.get(file);
+}
+
+/**
+ * Read every stored profile.
+ * @param {string} [filePath]
+ * @returns {Promise<object[]>}
+ */
+export async function readProfiles(filePath = DEFAULT_STORE_FILE) {
+  return openProfileStore(filePath).all();
+}
+
+/**
+ * Insert a profile, or update the stored entry for the same person in place,
+ * and record the scrape as a history snapshot. The record is validated
+ * against the profile schema first; nothing is written if it does not match.
+ * @param {string} url - URL the profile was scraped from (any form)
+ * @param {object} data - Parsed profile fields
+ * @param {object} [options]
+ * @param {string} [options.storeFile]
+ * @param {string} [options.historyFile]
+ * @returns {Promise<{record: object, created: boolean}>}
+ * @throws {ValidationError} If the record does not match the schema
+ */
+export async function upsertProfile(url, data, options = {}) {
+  const {
+    storeFile = DEFAULT_STORE_FILE,
+    historyFile = DEFAULT_HISTORY_FILE
+  } = options;
+
+  const profileUrl = canonicalProfileUrl(url);
+  if (!profileUrl) {
+    throw new Error(`Not a LinkedIn profile URL: ${url}`);
+  }
+
+  // Under the store's lock, so the history follows the record it is based on
+  const { record, previous } = await openProfileStore(storeFile).upsert(profileUrl, async previous => {
+    const now = new Date().toISOString();
+    // The history file is only read for records stored before history_since
+    const unmarked = previous && !previous.history_since;
+    const [firstSnapshot] = unmarked ? await readSnapshots(profileUrl, historyFile) : [];
+    const previousAt = previous?.last_scraped || previous?.first_seen || now;
+    const record = profileRecord(profileUrl, data, previous, {
+      now, historySince: previous?.history_since || firstSnapshot?.scraped_at || previousAt
+    });
+
+    // Profiles stored before history was kept get their previous scrape
+    // recorded first, so the first diff has something to compare against
+    if (unmarked && !firstSnapshot) {
+      await appendSnapshot(profileUrl, profileFields(previous), previousAt, historyFile);
+    }
+    await appendSnapshot(profileUrl, data, now, historyFile);
+    return record;
+  });
+
+  return { record, created: !previous };
+}
+
+/**
+ * The record a scrape produces, as it would be stored: bookkeeping keys
+ * around the parsed fields, validated against the profile schema.
+ * @param {string} profileUrl - Canonical profile URL
+ * @param {object} data - Parsed profile fields
+ * @param {object|null} [previous] - Stored record of an earlier scrape
+ * @param {object} [options]
+ * @param {string} [options.now] - Time of this scrape
+ * @param {string} [options.historySince] - history_since of a stored record
+ * @returns {object}
+ * @throws {ValidationError} If the record does not match the schema
+ */
+export function profileRecord(profileUrl, data, previous = null, options = {}) {
+  const { now = new Date().toISOString(), historySince } = options;
+  const record = {
+    schema_version: PROFILE_SCHEMA_VERSION,
+    profileUrl,
+    ...data,
+    first_seen: previous?.first_seen || now,
+    last_scraped: now
+  };
+  if (historySince) record.history_since = historySince;
+  assertValidProfile(record);
+  return record;
+}
+
+/**
+ * Delete stored profiles.
+ * @param {(record: object) => boolean} predicate - True for records to delete
+ * @param {string} [filePath]
+ * @returns {Promise<object[]>} The deleted records
+ */
+export async function removeProfiles(predicate, filePath = DEFAULT_STORE_FILE) {
+  return openProfileStore(filePath).remove(predicate);
+}
+
+/**
+ * Fold the store's journal into profile.json, so it holds every profile.
+ * @param {string} [filePath]
+ * @returns {Promise<boolean>} False when there was nothing to fold
+ */
+export async function compactProfiles(filePath = DEFAULT_STORE_FILE) {
+  return openProfileStore(filePath).compact();
+}
+
+/**
+ * A stored record without its bookkeeping keys.
+ * @param {object} record
+ */
+export function profileFields(record) {
+  const { schema_version, profileUrl, first_seen, last_scraped, history_since, ...fields } = record;
+  return fields;
+}
+
+// Entries stored before profileUrl was recorded have no key and stay as they are
+function profileKey(record) {
+  return record?.profileUrl ? canonicalProfileUrl(record.profileUrl) : null;
+}
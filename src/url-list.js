@@ -0,0 +1,105 @@
+/**
+ * Read profile URLs from a list file.
+ *
+ * Supported formats (chosen by extension):
+ *   .txt / other - one URL per line, blank lines and "#" comments ignored
+ *   .csv         - a "url" / "profileUrl" / "profile_url" column, else the first column
+ *   .jsonl       - one JSON object per line with a url / profileUrl / profile_url key,
+ *                  or a bare JSON string
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const URL_KEYS = ['url', 'profileUrl', 'profile_url', 'linkedin_url'];
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<string[]>} URLs in file order (duplicates kept)
+ */
+export async function readUrlList(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.jsonl' || ext === '.ndjson') return parseJsonl(content, filePath);
+  if (ext === '.csv') return parseCsv(content);
+  return parseText(content);
+}
+
+function parseText(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+function parseCsv(content) {
+  const rows = content
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(splitCsvLine);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim());
+  let column = header.findIndex(cell => URL_KEYS.includes(cell));
+  let dataRows = rows.slice(1);
+
+  // No recognised header: treat the first column of every row as the URL
+  if (column === -1) {
+    column = 0;
+    dataRows = /^https?:\/\//i.test(header[0]) ? rows : rows.slice(1);
+  }
+
+  return dataRows
+    .map(row => (row[column] || '').trim())
+    .filter(Boolean);
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+function parseJsonl(content, filePath) {
+  const urls = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${filePath}:${index + 1}: invalid JSON (${e.message})`);
+    }
+
+    const url = typeof entry === 'string'
+      ? entry
+      : URL_KEYS.map(key => entry?.[key]).find(value => typeof value === 'string');
+    if (url) urls.push(url.trim());
+  });
+  return urls;
+}
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { startPageCapture, ArtifactStore } from '../src/artifacts.js';
+import { logger } from '../src/logger.js';
+
+let dir;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+// Just enough of a patchright context and page for startPageCapture()
+function fakeContext() {
+  const context = { traces: 0, tracing: {} };
+  context.tracing.start = async () => {
+    if (context.active) throw new Error('Tracing has been already started');
+    context.active = true;
+    context.traces++;
+  };
+  context.tracing.stop = async ({ path: file }) => {
+    context.active = false;
+    await fs.writeFile(file, 'trace');
+  };
+  return context;
+}
+
+function fakePage(context) {
+  return {
+    on() {},
+    context: () => context,
+    url: () => 'https://www.linkedin.com/in/janedoe',
+    content: async () => '<html></html>',
+    screenshot: async () => Buffer.from('png')
+  };
+}
+
+test('failure bundles keep the trace, discarded captures delete it', async () => {
+  const store = new ArtifactStore({ artifacts: 'failure', artifactsDir: dir }, 'run');
+
+  const ok = await (await startPageCapture(fakePage(fakeContext()), { trace: true })).finish();
+  assert.equal(await store.save('https://www.linkedin.com/in/ok', { page: { capture: ok } }), null);
+  assert.equal(await fs.pathExists(ok.traceFile), false);
+
+  const failed = await (await startPageCapture(fakePage(fakeContext()), { trace: true })).finish({ failed: true });
+  const bundle = await store.save('https://www.linkedin.com/in/failed', { error: Object.assign(new Error('boom'), { capture: failed }) });
+  assert.ok(await fs.pathExists(path.join(bundle, 'trace.zip')));
+  assert.ok(await fs.pathExists(path.join(bundle, 'screenshot.png')));
+});
+
+test('a page sharing a context that is being traced goes without a trace', async () => {
+  const context = fakeContext();
+  const first = await startPageCapture(fakePage(context), { trace: true });
+  const second = await startPageCapture(fakePage(context), { trace: true });
+  assert.equal((await second.finish()).traceFile, null);
+  const { traceFile } = await first.finish();
+  assert.ok(traceFile);
+  await fs.remove(traceFile);
+
+  // Free again once the first trace is done
+  const third = await (await startPageCapture(fakePage(context), { trace: true })).finish();
+  assert.equal(context.traces, 2);
+  await fs.remove(third.traceFile);
+});
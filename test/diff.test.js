@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffProfiles, formatDiffText } from '../src/diff.js';
+
+test('list fields are compared item by item', () => {
+  const [change] = diffProfiles({ skills: ['Python', 'SQL'] }, { skills: ['Python', 'Go'] });
+  assert.equal(change.field, 'skills');
+  assert.deepEqual(change.added, ['Go']);
+  assert.deepEqual(change.removed, ['SQL']);
+});
+
+test('a missing list counts as empty', () => {
+  const [change] = diffProfiles({}, { skills: ['Go'] });
+  assert.deepEqual(change.added, ['Go']);
+  assert.deepEqual(change.removed, []);
+});
+
+test('a list replaced by a scalar is a whole-value change', () => {
+  const changes = diffProfiles({ skills: 'Python, SQL' }, { skills: ['Python'] });
+  assert.deepEqual(changes, [{ field: 'skills', before: 'Python, SQL', after: ['Python'] }]);
+  assert.match(formatDiffText(changes), /- Python, SQL\n {2}\+ \["Python"\]/);
+
+  const [back] = diffProfiles({ activity: [{ text: 'a' }] }, { activity: 'a' });
+  assert.equal(back.added, undefined);
+  assert.equal(back.after, 'a');
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { migrateProfiles } from '../src/migrate.js';
+import { readProfiles } from '../src/store.js';
+import { logger } from '../src/logger.js';
+
+// As the first scrapper.js stored them: no profile URL, sections as text
+const KEYLESS = {
+  name: 'Satya Nadella',
+  followers_and_connections: ['12M followers', '500+ connections'],
+  experience: ['Chairman and CEO, Microsoft']
+};
+const OLD = {
+  profileUrl: 'https://www.linkedin.com/in/JaneDoe/',
+  name: 'Jane Doe',
+  followers_and_connections: ['1,200 followers', '500+ connections'],
+  experience: [{ role: 'Engineer', company: 'Initech', duration: 'Jan 2020 - Present' }, 'Volunteer work'],
+  scraped_at: '2024-02-01T00:00:00.000Z'
+};
+
+let dir;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+test('an in-place migration backs the store up and leaves keyless entries alone', async () => {
+  const storeFile = path.join(dir, 'profile.json');
+  const historyFile = path.join(dir, 'profile_history.jsonl');
+  await fs.writeJson(storeFile, [KEYLESS, OLD]);
+
+  const report = await migrateProfiles([], { storeFile, historyFile });
+  assert.equal(report.upgraded, 1);
+  assert.equal(report.dropped_entries, 1);
+  assert.deepEqual(report.skipped.map(({ url }) => url), [null]);
+  assert.deepEqual(await fs.readJson(report.backup), [KEYLESS, OLD]);
+
+  const [keyless, upgraded] = await readProfiles(storeFile);
+  assert.deepEqual(keyless, KEYLESS);
+  assert.equal(upgraded.profileUrl, 'https://www.linkedin.com/in/janedoe');
+  assert.equal(upgraded.followers, 1200);
+  assert.deepEqual(upgraded.experience.map(({ title }) => title), ['Engineer']);
+});
+
+test('a dry run or a store with nothing to migrate is not backed up', async () => {
+  const storeFile = path.join(dir, 'dry.json');
+  await fs.writeJson(storeFile, [OLD]);
+  assert.equal((await migrateProfiles([], { storeFile, dryRun: true })).backup, null);
+
+  const historyFile = path.join(dir, 'dry_history.jsonl');
+  await migrateProfiles([], { storeFile, historyFile });
+  assert.equal((await migrateProfiles([], { storeFile, historyFile })).backup, null);
+});
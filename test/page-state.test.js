@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPage } from '../src/page-state.js';
+import { declaredUrl } from '../src/sources.js';
+
+const URL = 'https://www.linkedin.com/in/janedoe';
+
+test('error pages are recognised by their title and heading text', () => {
+  const html = '<title>LinkedIn</title><!-- <h1>ignored</h1> --><h1 data-x="a>b">Page <b>not</b> found</h1>';
+  assert.equal(classifyPage({ html, url: URL }).state, 'not_found');
+  assert.equal(classifyPage({ html: '<h1>Jane &amp; co</h1>', url: URL }).state, 'ok');
+});
+
+test('the declared URL is read from the parsed document', () => {
+  assert.equal(declaredUrl('<link title="a > b" rel="canonical" href="https://www.linkedin.com/in/a">'),
+    'https://www.linkedin.com/in/a');
+  assert.equal(declaredUrl('<meta property="og:url" content="https://www.linkedin.com/in/b?x=1&amp;y=2">'),
+    'https://www.linkedin.com/in/b?x=1&y=2');
+  assert.equal(declaredUrl('<!-- <link rel="canonical" href="https://www.linkedin.com/in/c"> --><p>none</p>'), null);
+});
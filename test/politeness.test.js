@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Limiter } from '../src/politeness.js';
+
+test('a task arriving as a waiting one is woken does not run alongside it', async () => {
+  const limiter = new Limiter(1);
+  let running = 0;
+  let most = 0;
+  const task = async () => {
+    most = Math.max(most, ++running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+  };
+
+  // A third task arrives right as the waiting one is woken
+  let late;
+  const push = limiter.waiting.push.bind(limiter.waiting);
+  limiter.waiting.push = resolve => push(() => {
+    resolve();
+    late ??= limiter.run(task);
+  });
+
+  await Promise.all([limiter.run(task), limiter.run(task)]);
+  await late;
+  assert.equal(most, 1);
+});
+
+test('at most size tasks run at once', async () => {
+  const limiter = new Limiter(2);
+  let running = 0;
+  let most = 0;
+  await Promise.all(Array.from({ length: 10 }, () => limiter.run(async () => {
+    most = Math.max(most, ++running);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    running--;
+  })));
+  assert.equal(most, 2);
+  assert.equal(limiter.active, 0);
+});
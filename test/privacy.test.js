@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import initSqlJs from 'sql.js';
+import { forgetProfile, expireProfiles } from '../src/privacy.js';
+import { readProfiles } from '../src/store.js';
+import { logger } from '../src/logger.js';
+
+const PROFILE_URL = 'https://www.linkedin.com/in/janedoe';
+
+let dir;
+let files;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+  files = {
+    historyFile: path.join(dir, 'profile_history.jsonl'),
+    failuresFile: path.join(dir, 'scrape_failures.jsonl'),
+    jobsFile: path.join(dir, 'scrape_jobs.json'),
+    auditFile: path.join(dir, 'privacy_audit.jsonl'),
+    artifacts: { artifactsDir: path.join(dir, 'artifacts') }
+  };
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+test('forget cleans a SQLite export written before the activity table existed', async () => {
+  const exportDir = path.join(dir, 'exports');
+  await fs.ensureDir(exportDir);
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE profiles (profile_id TEXT PRIMARY KEY, name TEXT)');
+  db.run('CREATE TABLE experience (profile_id TEXT, position INTEGER, title TEXT)');
+  db.run("INSERT INTO profiles VALUES ('janedoe', 'Jane Doe'), ('other', 'Other')");
+  db.run("INSERT INTO experience VALUES ('janedoe', 0, 'Engineer')");
+  await fs.writeFile(path.join(exportDir, 'profiles.sqlite'), Buffer.from(db.export()));
+  db.close();
+
+  const { removed } = await forgetProfile(PROFILE_URL, {
+    ...files, storeFile: path.join(dir, 'forget.json'), exportDirs: [exportDir]
+  });
+  assert.equal(removed.exports, 2);
+
+  const after = new SQL.Database(await fs.readFile(path.join(exportDir, 'profiles.sqlite')));
+  assert.deepEqual(after.exec('SELECT profile_id FROM profiles')[0].values, [['other']]);
+  after.close();
+});
+
+test('retention expires entries that only have scraped_at, or no time at all', async () => {
+  const storeFile = path.join(dir, 'retention.json');
+  const recent = new Date().toISOString();
+  await fs.writeJson(storeFile, [
+    { name: 'No time at all' },
+    { profileUrl: 'https://www.linkedin.com/in/old', scraped_at: '2020-01-01T00:00:00.000Z' },
+    { schema_version: 1, profileUrl: PROFILE_URL, first_seen: recent, last_scraped: recent }
+  ]);
+
+  await expireProfiles({ ...files, storeFile, retentionDays: 30 });
+  assert.deepEqual((await readProfiles(storeFile)).map(entry => entry.profileUrl), [PROFILE_URL]);
+});
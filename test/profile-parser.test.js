@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+import { extractProfile, parseProfileHtml, PROFILE_FIELDS } from '../src/profile-parser.js';
+import { validateProfile, PROFILE_SCHEMA_VERSION } from '../src/schema.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+function extract(html) {
+  const { window } = new JSDOM(html);
+  try {
+    return extractProfile(window.document);
+  } finally {
+    window.close();
+  }
+}
+
+test('top card fields', () => {
+  const profile = extract(fixture('profile.html'));
+  assert.equal(profile.name, 'Jane Doe');
+  assert.equal(profile.headline, 'Staff Engineer at Acme');
+  assert.equal(profile.location, 'Berlin, Germany');
+  assert.equal(profile.followers, 1234);
+  assert.equal(profile.followers_raw, '1,234 followers');
+  assert.deepEqual(profile.connections, { min: 500, capped: true });
+  assert.equal(profile.about, 'I build data platforms.');
+  assert.equal(profile.current_company, 'Acme');
+  assert.equal(profile.current_company_url, 'https://www.linkedin.com/company/acme');
+  assert.equal(profile.education_top, 'Technical University of Munich');
+});
+
+test('experience, flattening grouped roles', () => {
+  const { experience } = extract(fixture('profile.html'));
+  assert.equal(experience.length, 3);
+  // duration_months of a current role depends on today's date
+  const { duration_months, ...current } = experience[0];
+  assert.ok(duration_months >= 1);
+  assert.deepEqual(current, {
+    title: 'Staff Engineer', company: 'Acme', employment_type: 'Full-time',
+    start: { year: 2021, month: 1 }, end: null, is_current: true,
+    location: 'Berlin, Germany', description: null
+  });
+  assert.deepEqual(experience.slice(1).map(role => [role.title, role.company]), [
+    ['Senior Engineer', 'Initech'],
+    ['Engineer', 'Initech']
+  ]);
+  assert.equal(experience[1].duration_months, 34);
+  assert.deepEqual(experience[2].start, { year: 2016, month: null });
+});
+
+test('bullet points in a role\'s description do not make it a group', () => {
+  const { experience } = extract(`
+    <section data-section="experience"><h2>Experience</h2><ul>
+      <li class="experience-item">
+        <h3 class="experience-item__title">Staff Engineer</h3>
+        <h4 class="experience-item__subtitle">Acme</h4>
+        <span class="date-range">Jan 2021 - Dec 2022</span>
+        <div class="experience-item__description">
+          <p>Led the data platform team.</p>
+          <ul><li>Cut ingest latency by half</li><li>Hired six engineers</li></ul>
+        </div>
+      </li>
+      <li class="experience-group">
+        <h3 class="experience-group-header__company">Initech</h3>
+        <ul>
+          <li class="experience-group-position">
+            <h3 class="experience-item__title">Engineer</h3>
+            <span class="date-range">2016 - 2018</span>
+            <div class="experience-item__description"><ul><li>Built the billing service</li></ul></div>
+          </li>
+        </ul>
+      </li>
+    </ul></section>`);
+  assert.deepEqual(experience.map(role => [role.title, role.company]), [
+    ['Staff Engineer', 'Acme'],
+    ['Engineer', 'Initech']
+  ]);
+  assert.equal(experience[0].description, 'Led the data platform team.\n\nCut ingest latency by half\n\nHired six engineers');
+  assert.equal(experience[1].description, 'Built the billing service');
+});
+
+test('education, skills and languages', () => {
+  const profile = extract(fixture('profile.html'));
+  assert.deepEqual(profile.education, [{
+    school: 'Technical University of Munich', degree: 'Master of Science - MS',
+    field: 'Computer Science', start_year: 2014, end_year: 2016, description: null
+  }]);
+  assert.deepEqual(profile.skills, ['Python', 'Distributed Systems']);
+  assert.deepEqual(profile.languages, [{ language: 'German', proficiency: 'Native or bilingual proficiency' }]);
+  assert.deepEqual(profile.certifications, []);
+});
+
+test('a page without a profile gives empty fields, in output order', () => {
+  const profile = parseProfileHtml('<html><body><p>Nothing here</p></body></html>');
+  assert.deepEqual(Object.keys(profile), [...PROFILE_FIELDS]);
+  assert.equal(profile.name, null);
+  assert.equal(profile.followers, null);
+  assert.deepEqual(profile.experience, []);
+});
+
+test('parsed profiles match the profile schema', () => {
+  const record = {
+    schema_version: PROFILE_SCHEMA_VERSION,
+    profileUrl: 'https://www.linkedin.com/in/jane-doe',
+    ...parseProfileHtml(fixture('profile.html')),
+    first_seen: '2025-01-01T00:00:00.000Z',
+    last_scraped: '2025-01-01T00:00:00.000Z'
+  };
+  assert.deepEqual(validateProfile(record), []);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPublicUserData } from '../src/public-user-data.js';
+
+const page = (head) => `<html><head>${head}</head><body></body></html>`;
+
+test('reads the Person from JSON-LD', () => {
+  const data = extractPublicUserData(page(`<script type="application/ld+json">
+    {"@context": "https://schema.org", "@type": "Person", "name": "Jane Doe",
+     "jobTitle": "Engineer", "worksFor": {"@type": "Organization", "name": "Acme"}}
+  </script>`));
+  assert.equal(data.name, 'Jane Doe');
+  assert.equal(data.headline, 'Engineer');
+  assert.deepEqual(data.works_for, [{ name: 'Acme', url: '' }]);
+});
+
+test('decodes entity-encoded source with out-of-range entities', () => {
+  const encoded = '&lt;html&gt;&lt;head&gt;&lt;title&gt;Jane &#38; co &#99999999; &#x110000;&lt;/title&gt;' +
+    '&lt;/head&gt;&lt;body&gt;&lt;/body&gt;&lt;/html&gt;';
+  const data = extractPublicUserData(encoded);
+  // Left for the HTML parser, which reads them as U+FFFD
+  assert.equal(data.title, 'Jane & co \uFFFD \uFFFD');
+});
@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { saveResult, openResultStore } from '../src/commands/rich-results.js';
+import { logger } from '../src/logger.js';
+
+let dir;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+function result(inputUrl, name) {
+  return { schema_version: 2, input_url: inputUrl, scraped_at: new Date().toISOString(), public_user_data: { name } };
+}
+
+test('results are kept per target URL, next to a result written by an earlier version', async () => {
+  const file = path.join(dir, 'public_user_data.json');
+  // Earlier versions wrote the last result on its own
+  await fs.writeJson(file, result('https://example.com/about', 'Example'));
+
+  await saveResult(result('https://www.linkedin.com/in/janedoe/', 'Jane'), file);
+  await saveResult(result('https://www.linkedin.com/in/other', 'Other'), file);
+  await saveResult(result('https://linkedin.com/in/janedoe?trk=x', 'Jane Doe'), file);
+  await openResultStore(file).compact();
+
+  const stored = await fs.readJson(file);
+  assert.deepEqual(stored.map(entry => entry.public_user_data.name), ['Example', 'Jane Doe', 'Other']);
+});
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createApiServer } from '../src/server.js';
+import { JobQueue } from '../src/jobs.js';
+import { upsertProfile } from '../src/store.js';
+import { forgetProfile, expireProfiles } from '../src/privacy.js';
+import { logger } from '../src/logger.js';
+
+const PROFILE_URL = 'https://www.linkedin.com/in/janedoe';
+
+let dir;
+let files;
+let queue;
+let server;
+let baseUrl;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+  files = {
+    storeFile: path.join(dir, 'profile.json'),
+    historyFile: path.join(dir, 'profile_history.jsonl'),
+    failuresFile: path.join(dir, 'scrape_failures.jsonl'),
+    jobsFile: path.join(dir, 'scrape_jobs.json'),
+    auditFile: path.join(dir, 'privacy_audit.jsonl')
+  };
+  queue = await JobQueue.load(files.jobsFile);
+  server = createApiServer({
+    queue,
+    storeFile: files.storeFile,
+    validateUrl: url => (url.includes('/in/') ? null : 'not a profile URL')
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  queue.stop();
+  await new Promise(resolve => server.close(resolve));
+  await fs.remove(dir);
+});
+
+async function request(method, pathname, body) {
+  const response = await fetch(baseUrl + pathname, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /jobs rejects bodies without URLs and URLs that cannot be queued', async () => {
+  assert.equal((await request('POST', '/jobs', { urls: [] })).status, 400);
+  const invalid = await request('POST', '/jobs', { url: 'https://example.com/' });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /not a profile URL/);
+});
+
+test('queued jobs are listed, run and returned with their stored profile', async () => {
+  const created = await request('POST', '/jobs', { url: `${PROFILE_URL}/` });
+  assert.equal(created.status, 202);
+  const [job] = created.body.jobs;
+  assert.equal(job.status, 'queued');
+
+  const listed = await request('GET', '/jobs?status=queued');
+  assert.deepEqual(listed.body.jobs.map(queued => queued.id), [job.id]);
+  assert.equal(listed.body.counts.queued, 1);
+
+  // Stands in for the scrape: stores a profile and returns the job's result
+  const done = new Promise(resolve => {
+    queue.run(async ({ url }) => {
+      const { record } = await upsertProfile(url, { name: 'Jane Doe' }, files);
+      resolve();
+      return { profileUrl: record.profileUrl, profile_id: 'janedoe' };
+    });
+  });
+  await done;
+  queue.stop();
+  while (queue.get(job.id).status !== 'done') await new Promise(resolve => setImmediate(resolve));
+
+  const fetched = await request('GET', `/jobs/${job.id}`);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.status, 'done');
+  assert.equal(fetched.body.profile.name, 'Jane Doe');
+
+  const profiles = await request('GET', '/profiles');
+  assert.equal(profiles.body.total, 1);
+  assert.equal((await request('GET', '/profiles/janedoe')).body.profileUrl, PROFILE_URL);
+});
+
+test('unknown jobs, profiles and routes are errors', async () => {
+  assert.equal((await request('GET', '/jobs/nope')).status, 404);
+  assert.equal((await request('GET', '/profiles/nobody')).status, 404);
+  assert.equal((await request('DELETE', '/jobs')).status, 405);
+  assert.equal((await request('GET', '/profiles?limit=-1')).status, 400);
+  const malformed = await request('GET', '/jobs/%E0%A4%A');
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.body.error, /Malformed/);
+});
+
+test('forget deletes the profile\'s jobs, and the running queue does not write them back', async () => {
+  const { removed } = await forgetProfile(PROFILE_URL, files);
+  assert.equal(removed.jobs, 1);
+  assert.equal(removed.store, 1);
+  assert.deepEqual((await fs.readJson(files.jobsFile)).jobs, []);
+
+  // The next write of the queue (a new job, or serve's timer) drops them
+  const [other] = (await request('POST', '/jobs', { url: 'https://www.linkedin.com/in/other' })).body.jobs;
+  assert.deepEqual((await request('GET', '/jobs')).body.jobs.map(job => job.id), [other.id]);
+  assert.deepEqual((await fs.readJson(files.jobsFile)).jobs.map(job => job.id), [other.id]);
+});
+
+test('retention deletes finished jobs, not queued ones', async () => {
+  const jobsFile = path.join(dir, 'retention_jobs.json');
+  const old = '2024-01-01T00:00:00.000Z';
+  await fs.writeJson(jobsFile, {
+    jobs: [
+      { id: 'done', url: PROFILE_URL, status: 'done', created_at: old, finished_at: old },
+      { id: 'queued', url: PROFILE_URL, status: 'queued', created_at: old, finished_at: null }
+    ]
+  });
+  await expireProfiles({ ...files, jobsFile, retentionDays: 30 });
+  assert.deepEqual((await fs.readJson(jobsFile)).jobs.map(job => job.id), ['queued']);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FileLock, JournaledStore } from '../src/storage.js';
+import { logger } from '../src/logger.js';
+
+let dir;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+async function age(file, ms) {
+  const then = new Date(Date.now() - ms);
+  await fs.utimes(file, then, then);
+}
+
+test('an empty lock left by a crash is broken once it is stale', async () => {
+  const file = path.join(dir, 'empty.lock');
+  await fs.writeFile(file, '');
+  await age(file, 60000);
+
+  const lock = new FileLock(file, { timeout: 200, stale: 30000 });
+  assert.equal(await lock.run(async () => 'ran'), 'ran');
+  assert.equal(await fs.pathExists(file), false);
+});
+
+test('an empty lock that is not stale is waited for', async () => {
+  const file = path.join(dir, 'fresh.lock');
+  await fs.writeFile(file, '');
+
+  const lock = new FileLock(file, { timeout: 100, stale: 30000 });
+  await assert.rejects(lock.run(async () => {}), { name: 'LockTimeoutError' });
+});
+
+test('waiters breaking the same stale lock leave exactly one owner', async () => {
+  const file = path.join(dir, 'stale.lock');
+  await fs.writeJson(file, { pid: process.pid, host: os.hostname(), token: 'old' });
+  await age(file, 60000);
+
+  let holders = 0;
+  let most = 0;
+  const task = async () => {
+    most = Math.max(most, ++holders);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    holders--;
+  };
+  // Separate instances, as in separate processes
+  const locks = Array.from({ length: 4 }, () => new FileLock(file, { timeout: 5000, stale: 30000 }));
+  await Promise.all(locks.map(lock => lock.run(task)));
+  assert.equal(most, 1);
+  assert.equal(await fs.pathExists(file), false);
+});
+
+test('releasing a lock that was broken leaves the new owner\'s lock', async () => {
+  const file = path.join(dir, 'broken.lock');
+  const lock = new FileLock(file, { timeout: 200 });
+  await lock.run(async () => {
+    // Broken and taken by someone else while the task ran
+    await fs.remove(file);
+    await fs.writeJson(file, { pid: process.pid, host: os.hostname(), token: 'next' });
+  });
+  assert.equal((await fs.readJson(file)).token, 'next');
+});
+
+test('concurrent upserts to one store are all kept', async () => {
+  const file = path.join(dir, 'store.json');
+  const stores = [new JournaledStore(file, { key: entry => entry.id }), new JournaledStore(file, { key: entry => entry.id })];
+  await Promise.all(Array.from({ length: 20 }, (_, i) =>
+    stores[i % 2].upsert(`k${i}`, () => ({ id: `k${i}`, n: i }))));
+  assert.equal((await new JournaledStore(file, { key: entry => entry.id }).all()).length, 20);
+});
+
+test('a reader whose journal was emptied by another compaction reloads it', async () => {
+  const file = path.join(dir, 'compacted.json');
+  const key = entry => entry.id;
+  const [first, second] = [new JournaledStore(file, { key }), new JournaledStore(file, { key })];
+  await first.upsert('k1', () => ({ id: 'k1' }));
+  await first.upsert('k2', () => ({ id: 'k2' }));
+
+  // The second store reads between the two steps of a compaction: the new
+  // snapshot is in place, the journal not yet emptied
+  await fs.writeJson(file, [{ id: 'k1' }, { id: 'k2' }]);
+  await second.all();
+  await fs.writeFile(`${file}.journal`, '');
+
+  await first.upsert('k3', () => ({ id: 'k3' }));
+  await second.upsert('k4', () => ({ id: 'k4' }));
+  await second.compact();
+  assert.deepEqual((await fs.readJson(file)).map(entry => entry.id), ['k1', 'k2', 'k3', 'k4']);
+});
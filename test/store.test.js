@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { upsertProfile, readProfiles } from '../src/store.js';
+import { readSnapshots, removeSnapshots } from '../src/history.js';
+import { logger } from '../src/logger.js';
+
+const PROFILE_URL = 'https://www.linkedin.com/in/janedoe';
+
+let dir;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-scraper-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+function files(name) {
+  return { storeFile: path.join(dir, `${name}.json`), historyFile: path.join(dir, `${name}_history.jsonl`) };
+}
+
+test('every upsert records a snapshot and keeps history_since', async () => {
+  const options = files('plain');
+  const { record: first } = await upsertProfile(PROFILE_URL, { name: 'Jane' }, options);
+  assert.equal(first.history_since, first.last_scraped);
+
+  const { record: second } = await upsertProfile(PROFILE_URL, { name: 'Jane Doe' }, options);
+  assert.equal(second.history_since, first.history_since);
+  const snapshots = await readSnapshots(PROFILE_URL, options.historyFile);
+  assert.deepEqual(snapshots.map(snapshot => snapshot.data.name), ['Jane', 'Jane Doe']);
+});
+
+test('a record stored before history was kept gets its previous scrape recorded', async () => {
+  const options = files('legacy');
+  const stored = {
+    schema_version: 1, profileUrl: PROFILE_URL, name: 'Jane',
+    first_seen: '2024-01-01T00:00:00.000Z', last_scraped: '2024-02-01T00:00:00.000Z'
+  };
+  await fs.writeJson(options.storeFile, [stored]);
+
+  const { record } = await upsertProfile(PROFILE_URL, { name: 'Jane Doe' }, options);
+  assert.equal(record.history_since, stored.last_scraped);
+  const snapshots = await readSnapshots(PROFILE_URL, options.historyFile);
+  assert.deepEqual(snapshots.map(snapshot => snapshot.scraped_at), [stored.last_scraped, record.last_scraped]);
+  assert.equal((await readProfiles(options.storeFile))[0].history_since, stored.last_scraped);
+});
+
+test('a history line cut short by a crash is skipped, then dropped on rewrite', async () => {
+  const options = files('torn');
+  await upsertProfile(PROFILE_URL, { name: 'Jane' }, options);
+  await fs.appendFile(options.historyFile, '{"schema_version":1,"profileUrl":"https://www.linkedin.com/in/jan');
+  await upsertProfile(PROFILE_URL, { name: 'Jane Doe' }, options);
+
+  assert.equal((await readSnapshots(PROFILE_URL, options.historyFile)).length, 2);
+  assert.equal((await removeSnapshots(snapshot => snapshot.data.name === 'Jane', options.historyFile)).length, 1);
+  const lines = (await fs.readFile(options.historyFile, 'utf8')).trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).data.name), ['Jane Doe']);
+});
+
+test('concurrent first updates of an old record record its previous scrape once', async () => {
+  const options = files('racing');
+  const stored = {
+    schema_version: 1, profileUrl: PROFILE_URL, name: 'Jane',
+    first_seen: '2024-01-01T00:00:00.000Z', last_scraped: '2024-02-01T00:00:00.000Z'
+  };
+  await fs.writeJson(options.storeFile, [stored]);
+
+  await Promise.all(['Jane Doe', 'J. Doe'].map(name => upsertProfile(PROFILE_URL, { name }, options)));
+  const snapshots = await readSnapshots(PROFILE_URL, options.historyFile);
+  assert.equal(snapshots.filter(snapshot => snapshot.scraped_at === stored.last_scraped).length, 1);
+  assert.equal(snapshots.length, 3);
+});
+
+test('a history_since that does not match the schema is not stored', async () => {
+  const options = files('invalid');
+  await fs.writeJson(options.storeFile, [{
+    schema_version: 1, profileUrl: PROFILE_URL,
+    first_seen: '2024-01-01T00:00:00.000Z', last_scraped: 'yesterday'
+  }]);
+  await assert.rejects(upsertProfile(PROFILE_URL, { name: 'Jane' }, options), { name: 'ValidationError' });
+  assert.equal(await fs.pathExists(options.historyFile), false);
+});
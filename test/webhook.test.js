@@ -0,0 +1,71 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHmac } from 'crypto';
+import { WebhookSink } from '../src/sinks.js';
+import { logger } from '../src/logger.js';
+
+const SECRET = 'test-secret';
+const RECORD = { profileUrl: 'https://www.linkedin.com/in/janedoe', name: 'Jane Doe' };
+
+// Each request is answered with the next status, then 204
+let statuses;
+let received;
+let server;
+let webhookUrl;
+
+before(async () => {
+  logger.configure({ level: 'error' });
+  server = http.createServer(async (request, response) => {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    received.push({ headers: request.headers, body: Buffer.concat(chunks).toString('utf8') });
+    response.writeHead(statuses.shift() ?? 204);
+    response.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  statuses = [];
+  received = [];
+});
+
+function sink(config = {}) {
+  return new WebhookSink({ webhookUrl, webhookSecret: SECRET, retryDelay: 1, ...config });
+}
+
+test('requests are signed with an HMAC of "<timestamp>.<body>"', async () => {
+  await sink().write(RECORD);
+
+  const [{ headers, body }] = received;
+  assert.deepEqual(JSON.parse(body), RECORD);
+  assert.equal(headers['x-scraper-event'], 'profile');
+  assert.match(headers['x-scraper-timestamp'], /^\d+$/);
+  const expected = createHmac('sha256', SECRET).update(`${headers['x-scraper-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-scraper-signature'], `sha256=${expected}`);
+});
+
+test('5xx responses are retried until one succeeds', async () => {
+  statuses = [503, 500];
+  await sink({ webhookRetries: 3 }).write(RECORD);
+  assert.equal(received.length, 3);
+  assert.ok(received.every(({ body }) => body === received[0].body));
+});
+
+test('delivery gives up after webhookRetries retries', async () => {
+  statuses = [500, 502, 503, 504];
+  await assert.rejects(sink({ webhookRetries: 2 }).write(RECORD), /HTTP 503/);
+  assert.equal(received.length, 3);
+});
+
+test('other 4xx responses are not retried', async () => {
+  statuses = [400];
+  await assert.rejects(sink().write(RECORD), /HTTP 400/);
+  assert.equal(received.length, 1);
+});